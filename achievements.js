@@ -0,0 +1,132 @@
+const CONFIG = require('./config');
+
+// ===========================================
+// ACHIEVEMENTS
+// ===========================================
+// Each rule is checked after every finished ranked match with
+//   check(player, match)
+// player: the saved player record, already updated with this match
+// match:  { won, isRanked, stats (Minecraft stats or null), className,
+//           streak, survivedPurge }
+// Unlocks are stored on the player as achievements: { [id]: unlockedAt }.
+
+const CLASS_NAMES = Object.values(CONFIG.CLASSES);
+const MASTER_GAMES = CONFIG.CLASS_MASTERY[CONFIG.CLASS_MASTERY.length - 1].games;
+
+const ACHIEVEMENTS = [
+  {
+    id: 'first-win',
+    name: 'First Blood',
+    description: 'Win your first ranked match',
+    icon: '🥇',
+    check: (player, match) => match.won
+  },
+  {
+    id: 'games-10',
+    name: 'Regular',
+    description: 'Play 10 ranked matches',
+    icon: '🎮',
+    check: (player) => player.gamesPlayed >= 10
+  },
+  {
+    id: 'games-100',
+    name: 'Veteran',
+    description: 'Play 100 ranked matches',
+    icon: '🎖️',
+    check: (player) => player.gamesPlayed >= 100
+  },
+  {
+    id: 'kills-10',
+    name: 'Rampage',
+    description: 'Get 10 kills in a single ranked match',
+    icon: '💀',
+    check: (player, match) => (match.stats?.kills || 0) >= 10
+  },
+  {
+    id: 'healing-1000',
+    name: 'Lifeline',
+    description: 'Heal 1000 in a single ranked match',
+    icon: '💚',
+    check: (player, match) => (match.stats?.healing || 0) >= 1000
+  },
+  {
+    id: 'deathless-win',
+    name: 'Untouchable',
+    description: 'Win a ranked match without dying',
+    icon: '🛡️',
+    check: (player, match) => match.won && match.stats && (match.stats.deaths || 0) === 0
+  },
+  {
+    id: 'streak-5',
+    name: 'On Fire',
+    description: 'Win 5 ranked matches in a row',
+    icon: '🔥',
+    check: (player) => (player.currentStreak || 0) >= 5
+  },
+  {
+    id: 'reached-diamond',
+    name: 'Diamond Hands',
+    description: 'Reach Diamond rank',
+    icon: '💎',
+    check: (player) => (player.peakElo ?? player.elo) >= CONFIG.RANKS.Diamond
+  },
+  {
+    id: 'reached-netherite',
+    name: 'Netherite Legend',
+    description: 'Reach Netherite rank',
+    icon: '👑',
+    check: (player) => (player.peakElo ?? player.elo) >= CONFIG.RANKS.Netherite
+  },
+  {
+    id: 'all-classes-win',
+    name: 'Jack of All Trades',
+    description: 'Win a match as every class',
+    icon: '🃏',
+    check: (player) => CLASS_NAMES.every(name => (player.classStats?.[name]?.wins || 0) > 0)
+  },
+  {
+    id: 'class-master',
+    name: 'Class Master',
+    description: `Play ${MASTER_GAMES} matches as one class`,
+    icon: '📜',
+    check: (player) => CLASS_NAMES.some(name => (player.classStats?.[name]?.gamesPlayed || 0) >= MASTER_GAMES)
+  },
+  {
+    id: 'purge-survivor',
+    name: 'Survivor',
+    description: 'Make it through a purge without immunity and play the match',
+    icon: '🎲',
+    check: (player, match) => match.survivedPurge
+  }
+];
+
+const ACHIEVEMENTS_BY_ID = new Map(ACHIEVEMENTS.map(a => [a.id, a]));
+
+// IDs of achievements the player has just earned (not already unlocked)
+function evaluateAchievements(player, match) {
+  return ACHIEVEMENTS
+    .filter(a => !player.achievements?.[a.id])
+    .filter(a => {
+      try {
+        return a.check(player, match);
+      } catch (e) {
+        console.error(`Error checking achievement ${a.id}:`, e);
+        return false;
+      }
+    })
+    .map(a => a.id);
+}
+
+// Public description of an achievement (without the rule)
+function describeAchievement(id) {
+  const achievement = ACHIEVEMENTS_BY_ID.get(id);
+  if (!achievement) return null;
+  const { check, ...info } = achievement;
+  return info;
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  evaluateAchievements,
+  describeAchievement
+};
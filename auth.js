@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const CONFIG = require('./config');
+
+// ===========================================
+// SESSION TOKENS
+// ===========================================
+// Tokens are <base64url payload>.<base64url HMAC-SHA256 signature>, signed
+// with SESSION_SECRET. They carry the Discord identity the user logged in
+// with, so nothing downstream has to trust IDs sent by the client.
+
+let SECRET = CONFIG.SESSION_SECRET;
+if (!SECRET) {
+  SECRET = crypto.randomBytes(32).toString('hex');
+  console.warn('SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired
+function verify(token) {
+  if (typeof token !== 'string') return null;
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', SECRET).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+function signSessionToken(user) {
+  const now = Date.now();
+  return sign({
+    type: 'session',
+    sub: user.odiscordId,
+    username: user.username,
+    avatar: user.avatar,
+    iat: now,
+    exp: now + CONFIG.SESSION_TTL
+  });
+}
+
+// Returns { odiscordId, username, avatar } for a valid session token
+function verifySessionToken(token) {
+  const payload = verify(token);
+  if (!payload || payload.type !== 'session') return null;
+  return { odiscordId: payload.sub, username: payload.username, avatar: payload.avatar };
+}
+
+// ===========================================
+// DISCORD OAUTH2
+// ===========================================
+
+const DISCORD_API = 'https://discord.com/api/v10';
+
+// The state parameter is signed and short-lived, and carries a random nonce
+// that is also put in an httpOnly cookie on the browser starting the login.
+// The callback needs both to match, so a state can't be replayed from
+// another browser (login CSRF).
+const OAUTH_COOKIE = 'oauth_nonce';
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+
+function createOAuthState(nonce) {
+  return sign({ type: 'oauth-state', nonce, exp: Date.now() + OAUTH_STATE_TTL });
+}
+
+function isValidOAuthState(state, nonce) {
+  const payload = verify(state);
+  if (payload?.type !== 'oauth-state' || typeof payload.nonce !== 'string' || typeof nonce !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(payload.nonce);
+  const given = Buffer.from(nonce);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Start a login: sets the nonce cookie and returns Discord's consent URL
+function startOAuth(res) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax', // Must survive the top-level redirect back from Discord
+    secure: (CONFIG.OAUTH_REDIRECT_URI || '').startsWith('https:'),
+    maxAge: OAUTH_STATE_TTL,
+    path: '/api/auth'
+  });
+
+  const params = new URLSearchParams({
+    client_id: CONFIG.DISCORD_CLIENT_ID,
+    redirect_uri: CONFIG.OAUTH_REDIRECT_URI,
+    response_type: 'code',
+    scope: 'identify',
+    state: createOAuthState(nonce)
+  });
+  return `https://discord.com/oauth2/authorize?${params}`;
+}
+
+// The nonce cookie set by startOAuth, or null
+function getOAuthNonce(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === OAUTH_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function clearOAuthNonce(res) {
+  res.clearCookie(OAUTH_COOKIE, { path: '/api/auth' });
+}
+
+// Exchange an OAuth2 code for the Discord user it belongs to
+async function exchangeCode(code) {
+  const tokenResponse = await fetch(`${DISCORD_API}/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: CONFIG.DISCORD_CLIENT_ID,
+      client_secret: CONFIG.DISCORD_CLIENT_SECRET,
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: CONFIG.OAUTH_REDIRECT_URI
+    })
+  });
+  if (!tokenResponse.ok) {
+    throw new Error(`Discord token exchange failed (${tokenResponse.status})`);
+  }
+  const { access_token: accessToken } = await tokenResponse.json();
+
+  const userResponse = await fetch(`${DISCORD_API}/users/@me`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  if (!userResponse.ok) {
+    throw new Error(`Discord user lookup failed (${userResponse.status})`);
+  }
+  const user = await userResponse.json();
+
+  return {
+    odiscordId: user.id,
+    username: user.global_name || user.username,
+    avatar: user.avatar ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png` : null
+  };
+}
+
+// ===========================================
+// MIDDLEWARE
+// ===========================================
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Express: reject requests without a valid session token, set req.user otherwise
+function requireAuth(req, res, next) {
+  const user = verifySessionToken(getBearerToken(req));
+  if (!user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  req.user = user;
+  next();
+}
+
+// Express: like requireAuth, but the token must belong to the :param user
+function requireSelf(param) {
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (req.user.odiscordId !== req.params[param]) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  });
+}
+
+// Socket.IO: connections without a token stay anonymous (they can still
+// browse public lobbies); a token that fails verification is refused.
+function socketAuth(socket, next) {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+
+  const user = verifySessionToken(token);
+  if (!user) {
+    return next(new Error('Invalid session token'));
+  }
+  socket.user = user;
+  socket.odiscordId = user.odiscordId;
+  next();
+}
+
+// ===========================================
+// ADMIN PERMISSIONS
+// ===========================================
+
+// Short keys are too easy to guess (or left over from an example config),
+// so they're refused at startup
+const MIN_ADMIN_KEY_LENGTH = 32;
+const ADMIN_KEYS = CONFIG.ADMIN_API_KEYS.filter(entry => {
+  if (entry.key.length >= MIN_ADMIN_KEY_LENGTH) return true;
+  console.error(`ADMIN_API_KEYS: key "${entry.name}" is shorter than ${MIN_ADMIN_KEY_LENGTH} characters and has been disabled`);
+  return false;
+});
+
+// Compare keys by hash so timing doesn't leak how much of a key matched
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+function findAdminKey(key) {
+  const given = hashKey(key);
+  return ADMIN_KEYS.find(entry => crypto.timingSafeEqual(hashKey(entry.key), given)) || null;
+}
+
+function hasPermission(permissions, permission) {
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Build requirePermission(permission) middleware. Callers authenticate with
+// either an X-Admin-Key header (scoped API key from config) or a session
+// token whose Discord roles are listed in ADMIN_ROLE_PERMISSIONS.
+// getMemberRoleIds(odiscordId) resolves to the member's role IDs.
+// Sets req.admin = { type: 'key' | 'discord', id, name, permissions }.
+function createAdminGuard(getMemberRoleIds) {
+  return function requirePermission(permission) {
+    return async (req, res, next) => {
+      let admin;
+
+      const apiKey = req.get('X-Admin-Key');
+      if (apiKey) {
+        const entry = findAdminKey(apiKey);
+        if (!entry) {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        admin = { type: 'key', id: entry.name, name: entry.name, permissions: entry.permissions };
+      } else {
+        const user = verifySessionToken(getBearerToken(req));
+        if (!user) {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        const roleIds = await getMemberRoleIds(user.odiscordId).catch(() => []);
+        const permissions = [...new Set(roleIds.flatMap(id => CONFIG.ADMIN_ROLE_PERMISSIONS[id] || []))];
+        req.user = user;
+        admin = { type: 'discord', id: user.odiscordId, name: user.username, permissions };
+      }
+
+      if (!hasPermission(admin.permissions, permission)) {
+        return res.status(403).json({ error: `Missing permission: ${permission}` });
+      }
+
+      req.admin = admin;
+      next();
+    };
+  };
+}
+
+module.exports = {
+  signSessionToken,
+  verifySessionToken,
+  startOAuth,
+  getOAuthNonce,
+  clearOAuthNonce,
+  isValidOAuthState,
+  exchangeCode,
+  requireAuth,
+  requireSelf,
+  socketAuth,
+  createAdminGuard
+};
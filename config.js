@@ -1,11 +1,37 @@
+// Moderator role (slash commands, admin API read access)
+const MODERATOR_ROLE_ID = process.env.MODERATOR_ROLE_ID || '1468766786416676971';
+
+// ADMIN_API_KEYS="name:key:perm1,perm2;name2:key2:*"
+function parseAdminKeys(value) {
+  return (value || '').split(';').filter(Boolean).map(entry => {
+    // Permission names contain ':' too, so everything after the key is the list
+    const [name, key, ...rest] = entry.split(':');
+    return { name, key, permissions: rest.join(':').split(',').filter(Boolean) };
+  }).filter(entry => entry.name && entry.key);
+}
+
 module.exports = {
   // Server
   PORT: process.env.PORT || 3001,
 
+  // Storage ('json' keeps the data/*.json files, 'sqlite' needs better-sqlite3)
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json',
+  DATA_DIR: process.env.DATA_DIR || 'data',
+  SQLITE_FILE: process.env.SQLITE_FILE || 'counterpush.db',
+
   // Discord Bot
   BOT_TOKEN: process.env.BOT_TOKEN,
   GUILD_ID: process.env.GUILD_ID,
 
+  // Discord OAuth2 (website login)
+  DISCORD_CLIENT_ID: process.env.DISCORD_CLIENT_ID,
+  DISCORD_CLIENT_SECRET: process.env.DISCORD_CLIENT_SECRET,
+  OAUTH_REDIRECT_URI: process.env.OAUTH_REDIRECT_URI || 'http://localhost:3001/api/auth/callback',
+
+  // Secret for signing session tokens, and how long they last (7 days)
+  SESSION_SECRET: process.env.SESSION_SECRET,
+  SESSION_TTL: 7 * 24 * 60 * 60 * 1000,
+
   // Voice Channel Category (bot will create VCs under this)
   VOICE_CATEGORY_ID: process.env.VOICE_CATEGORY_ID,
 
@@ -43,9 +69,183 @@ module.exports = {
   MAX_PLAYERS: 10,
   MAX_CAPTAINS: 2,
 
+  // Ranked matchmaking queue. A party accepts opponents within BASE_WINDOW
+  // ELO of its average, growing by WINDOW_GROWTH_PER_MINUTE while it waits
+  // (up to MAX_WINDOW). Players who decline or miss a ready check can't
+  // queue again for DECLINE_COOLDOWN.
+  QUEUE: {
+    LOBBY_SIZE: 10,
+    BASE_WINDOW: 100,
+    WINDOW_GROWTH_PER_MINUTE: 50,
+    MAX_WINDOW: 600,
+    TICK_INTERVAL: 5000,
+    READY_CHECK_TIMEOUT: 30 * 1000,
+    DECLINE_COOLDOWN: 5 * 60 * 1000
+  },
+
+  // How a draft lobby's two captains are chosen: 'host' picks them by hand,
+  // 'random', 'elo' (the two highest rated), or 'vote' (every player votes
+  // within VOTE_DURATION). The captains then flip a coin; the winner has
+  // COIN_FLIP_TIMEOUT to choose first pick or their side's color before
+  // first pick is taken for them.
+  CAPTAINS: {
+    MODES: ['host', 'random', 'elo', 'vote'],
+    DEFAULT_MODE: 'host',
+    VOTE_DURATION: 30 * 1000,
+    COIN_FLIP_TIMEOUT: 20 * 1000
+  },
+
+  // Captain draft. Each pick order is the sequence of captains picking
+  // (A = the captain with first pick, B = the other), repeated until teams
+  // are full.
+  // 'snake' is the classic 1-2-2-...-1 draft (each round mirrors the last):
+  // ABBA ABBA ... 'abba' is the ABBA block followed by its mirror BAAB, and
+  // that pair repeated: ABBA BAAB ABBA BAAB ... A captain who doesn't pick
+  // within PICK_TIMEOUT gets the highest-ELO player left picked for them.
+  DRAFT: {
+    PICK_ORDERS: {
+      alternate: 'AB',
+      snake: 'ABBA',
+      abba: 'ABBA' + 'BAAB'
+    },
+    DEFAULT_PICK_ORDER: 'snake',
+    PICK_TIMEOUT: 30 * 1000
+  },
+
+  // Match formats a lobby can play. A team wins the match at winsNeeded
+  // rounds; 'ft' (first to N) takes N from the lobby, up to MAX_FIRST_TO.
+  MATCH_FORMATS: {
+    bo1: { name: 'Best of 1', winsNeeded: 1 },
+    bo3: { name: 'Best of 3', winsNeeded: 2 },
+    bo5: { name: 'Best of 5', winsNeeded: 3 },
+    ft: { name: 'First to', winsNeeded: null }
+  },
+  DEFAULT_MATCH_FORMAT: 'bo3',
+  MAX_FIRST_TO: 10,
+
+  // Map pool (MAP_POOL env, comma separated, overrides the default list).
+  // After the draft the captains take turns banning maps until one is left
+  // per round the match can last; a captain who doesn't ban within
+  // BAN_TIMEOUT has a random map banned for them. With no more maps than
+  // rounds there is no veto and the pool is played in order.
+  MAPS: {
+    POOL: process.env.MAP_POOL
+      ? process.env.MAP_POOL.split(',').map(name => name.trim()).filter(Boolean)
+      : ['Canyon', 'Citadel', 'Harbor', 'Ruins', 'Frostpeak', 'Temple', 'Outpost'],
+    BAN_TIMEOUT: 20 * 1000
+  },
+
+  // Optional class pick phase after teams are set (lobby classPick). Each
+  // team can have at most TEAM_LIMITS[class] of a class (unlisted classes
+  // are unlimited). After TIMEOUT the match starts with whatever was declared.
+  CLASS_PICK: {
+    TIMEOUT: 45 * 1000,
+    TEAM_LIMITS: {
+      Tank: 2,
+      Sniper: 2,
+      Support: 2
+    }
+  },
+
+  // Auto-balanced teams (lobby teamMode 'balanced'). Each class spread
+  // unevenly across the teams costs CLASS_WEIGHT ELO of difference; rerolls
+  // pick among splits within REROLL_TOLERANCE of the best. Above
+  // MAX_EXHAUSTIVE_PLAYERS splits are found by swapping instead of trying all.
+  TEAM_BALANCE: {
+    CLASS_WEIGHT: 25,
+    REROLL_TOLERANCE: 25,
+    MAX_EXHAUSTIVE_PLAYERS: 14
+  },
+
+  // How often in-progress lobbies are snapshotted to storage (ms)
+  LOBBY_SNAPSHOT_INTERVAL: 5000,
+
   // ELO Settings
   STARTING_ELO: 500,
 
+  // Rating engine: 'elo' (team average, fixed 20-30 swing) or 'glicko2'
+  // (per-player rating deviation and volatility)
+  RATING_ENGINE: process.env.RATING_ENGINE || 'elo',
+
+  // Glicko-2 settings (RD and volatility start here for new players)
+  GLICKO: {
+    INITIAL_RD: 350,
+    MIN_RD: 30,
+    INITIAL_VOLATILITY: 0.06,
+    TAU: 0.5
+  },
+
+  // Performance weighting: scale each player's ELO change by how their
+  // Minecraft stats compare to the average for the class they played.
+  // WEIGHTS say what each class is judged on (negative = lower is better).
+  // The modifier is capped at MAX_MODIFIER (0.25 = change is 75%-125%), so
+  // winning or losing the match always matters more than individual stats.
+  PERFORMANCE: {
+    ENABLED: process.env.PERFORMANCE_WEIGHTING === 'true',
+    MAX_MODIFIER: 0.25,
+    // Classes with fewer recorded games than this get no modifier
+    MIN_CLASS_GAMES: 20,
+    WEIGHTS: {
+      Tank: { assists: 0.4, damage: 0.3, deaths: -0.3 },
+      Brawler: { kills: 0.4, damage: 0.4, deaths: -0.2 },
+      Sniper: { kills: 0.6, damage: 0.2, deaths: -0.2 },
+      Trickster: { kills: 0.4, assists: 0.4, deaths: -0.2 },
+      Support: { healing: 0.6, assists: 0.3, deaths: -0.1 }
+    }
+  },
+
+  // Players are provisional until they have played PLACEMENT_GAMES games.
+  // Their rank shows as 'Unranked' on the leaderboard and their profile, and
+  // with the 'elo' engine their placement games move their rating
+  // PLACEMENT_MULTIPLIER times as far. (Glicko-2 already moves new players
+  // further through their high rating deviation.)
+  PLACEMENT_GAMES: 5,
+  PLACEMENT_MULTIPLIER: 2,
+
+  // Points kept per player in their ELO history (oldest dropped first)
+  ELO_HISTORY_LIMIT: 1000,
+
+  // Season soft reset: fraction of each player's distance from STARTING_ELO
+  // kept when a season closes (0.5 = 1300 becomes 900)
+  SEASON_RESET_COMPRESSION: 0.5,
+
+  // Rank decay: players in these tiers lose ELO_PER_WEEK every week once
+  // they go GRACE_DAYS without a ranked match, until they drop to a tier
+  // that doesn't decay. They get a Discord DM at least WARNING_DAYS before
+  // the first step. Off unless RANK_DECAY_ENABLED=true.
+  RANK_DECAY: {
+    ENABLED: process.env.RANK_DECAY_ENABLED === 'true',
+    CHECK_INTERVAL: 60 * 60 * 1000, // 1 hour
+    WARNING_DAYS: 3,
+    TIERS: {
+      Netherite: { GRACE_DAYS: 14, ELO_PER_WEEK: 50 },
+      Diamond: { GRACE_DAYS: 21, ELO_PER_WEEK: 25 }
+    }
+  },
+
+  // Win/loss streaks. Match result embeds call out win streaks of SHOW_FROM
+  // or more. With the bonus on, each win that makes a streak of BONUS_FROM+
+  // earns BONUS_PER_WIN extra ELO per game past BONUS_FROM - 1, capped at
+  // MAX_BONUS (3 wins: +2, 4: +4, ... 7+: +10)
+  STREAKS: {
+    SHOW_FROM: 3,
+    BONUS_ENABLED: process.env.STREAK_BONUS === 'true',
+    BONUS_FROM: 3,
+    BONUS_PER_WIN: 2,
+    MAX_BONUS: 10
+  },
+
+  // Demotion shield: after a promotion, the first loss that would drop the
+  // player back out of the new tier within GAMES games leaves them at the
+  // tier floor instead
+  RANK_SHIELD: {
+    ENABLED: true,
+    GAMES: 3
+  },
+
+  // Channel for rank promotion announcements (defaults to match results)
+  RANK_ANNOUNCE_CHANNEL_ID: process.env.RANK_ANNOUNCE_CHANNEL_ID || process.env.MATCH_RESULTS_CHANNEL_ID || '1468819780873097328',
+
   // Rank Thresholds (new tier system)
   RANKS: {
     Netherite: 1500,
@@ -66,12 +266,38 @@ module.exports = {
     5: 'Support'
   },
 
+  // Class mastery levels, by games played as that class
+  CLASS_MASTERY: [
+    { name: 'Novice', games: 0 },
+    { name: 'Apprentice', games: 10 },
+    { name: 'Adept', games: 25 },
+    { name: 'Expert', games: 50 },
+    { name: 'Master', games: 100 }
+  ],
+
+  // Discord roles granted when an achievement (see achievements.js) is
+  // unlocked, e.g. { 'reached-netherite': '<role id>' }
+  ACHIEVEMENT_ROLES: {},
+
   // Frontend URL (for CORS)
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
 
   // Backend URL (for generating image URLs)
   BACKEND_URL: process.env.BACKEND_URL || 'http://localhost:3001',
 
+  MODERATOR_ROLE_ID,
+
+  // Admin API keys, sent in the X-Admin-Key header. Permissions:
+  // stats:read, audit:read, backup, import, players:write, lobbies:manage,
+  // seasons:manage, reset (or * for all)
+  ADMIN_API_KEYS: parseAdminKeys(process.env.ADMIN_API_KEYS),
+
+  // Discord roles that grant admin API permissions to logged-in users
+  ADMIN_ROLE_PERMISSIONS: {
+    [MODERATOR_ROLE_ID]: ['stats:read', 'audit:read', 'lobbies:manage'],
+    ...(process.env.ADMIN_ROLE_ID ? { [process.env.ADMIN_ROLE_ID]: ['*'] } : {})
+  },
+
   // Role required to host public lobbies (with ELO)
   PUBLIC_HOST_ROLE_ID: process.env.PUBLIC_HOST_ROLE_ID || '1468766786416676971',
 
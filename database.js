@@ -1,226 +1,564 @@
-const fs = require('fs');
-const path = require('path');
 const CONFIG = require('./config');
+const { createStorage } = require('./storage');
+const { PersistentMap, PersistentSet } = require('./storage/persistent');
+const { runMigrations, getSchemaVersion } = require('./migrations');
+const { ACHIEVEMENTS, describeAchievement } = require('./achievements');
+const { ENGINES, rateMatch, isProvisional, performanceModifier, applyPerformance } = require('./ratings');
 
-const DB_PATH = path.join(__dirname, 'data', 'players.json');
-const SESSIONS_PATH = path.join(__dirname, 'data', 'sessions.json');
-const MATCHES_PATH = path.join(__dirname, 'data', 'matches.json');
-const LINKS_PATH = path.join(__dirname, 'data', 'minecraft_links.json');
+const storage = createStorage(CONFIG);
 
-// Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
+// Bring stored records up to the current schema before anything reads them
+runMigrations(storage);
 
 // ===========================================
-// LOAD AND SAVE
+// TRANSACTIONS
 // ===========================================
 
-function loadDatabase() {
-  try {
-    if (fs.existsSync(DB_PATH)) {
-      const data = fs.readFileSync(DB_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading database:', error);
-  }
-  return {};
+// Run fn so that every write it makes commits together or not at all.
+// fn must be synchronous.
+function transaction(fn) {
+  return storage.transaction(fn);
 }
 
-function saveDatabase(data) {
-  try {
-    fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving database:', error);
-  }
+function close() {
+  storage.close();
 }
 
 // ===========================================
 // MINECRAFT LINKS
 // ===========================================
 
-function loadLinks() {
-  try {
-    if (fs.existsSync(LINKS_PATH)) {
-      const data = fs.readFileSync(LINKS_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading links:', error);
-  }
-  return { byDiscord: {}, byUUID: {} };
-}
-
-function saveLinks(data) {
-  try {
-    fs.writeFileSync(LINKS_PATH, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving links:', error);
-  }
-}
-
 function linkMinecraft(odiscordId, uuid, username) {
-  const links = loadLinks();
-  links.byDiscord[odiscordId] = { uuid, username };
-  links.byUUID[uuid] = { odiscordId, username };
-  saveLinks(links);
+  transaction(() => {
+    // Drop any other Discord account that was linked to this UUID
+    for (const [otherId, link] of storage.entries('links')) {
+      if (link.uuid === uuid && otherId !== odiscordId) {
+        storage.delete('links', otherId);
+      }
+    }
+    storage.set('links', odiscordId, { uuid, username });
+  });
 }
 
 function getMinecraftByDiscord(odiscordId) {
-  const links = loadLinks();
-  return links.byDiscord[odiscordId] || null;
+  return storage.get('links', odiscordId);
 }
 
 function getDiscordByMinecraft(uuid) {
-  const links = loadLinks();
-  return links.byUUID[uuid] || null;
+  for (const [odiscordId, link] of storage.entries('links')) {
+    if (link.uuid === uuid) {
+      return { odiscordId, username: link.username };
+    }
+  }
+  return null;
 }
 
 function unlinkMinecraft(odiscordId) {
-  const links = loadLinks();
-  const link = links.byDiscord[odiscordId];
-  if (link) {
-    delete links.byUUID[link.uuid];
-    delete links.byDiscord[odiscordId];
-    saveLinks(links);
-    return true;
-  }
-  return false;
+  return storage.delete('links', odiscordId);
 }
 
 function getAllMinecraftLinks() {
-  const links = loadLinks();
-  return links.byDiscord || {};
+  return Object.fromEntries(storage.entries('links'));
 }
 
 // ===========================================
 // SESSIONS
 // ===========================================
 
-function loadSessions() {
-  try {
-    if (fs.existsSync(SESSIONS_PATH)) {
-      const data = fs.readFileSync(SESSIONS_PATH, 'utf8');
-      return JSON.parse(data);
+function setUserSession(odiscordId, lobbyId) {
+  storage.set('sessions', odiscordId, { lobbyId, updatedAt: Date.now() });
+}
+
+function getUserSession(odiscordId) {
+  return storage.get('sessions', odiscordId);
+}
+
+function clearUserSession(odiscordId) {
+  storage.delete('sessions', odiscordId);
+}
+
+function clearLobbySession(lobbyId) {
+  transaction(() => {
+    for (const [odiscordId, session] of storage.entries('sessions')) {
+      if (session.lobbyId === lobbyId) {
+        storage.delete('sessions', odiscordId);
+      }
     }
-  } catch (error) {
-    console.error('Error loading sessions:', error);
-  }
-  return {};
+  });
 }
 
-function saveSessions(data) {
-  try {
-    fs.writeFileSync(SESSIONS_PATH, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving sessions:', error);
-  }
+// ===========================================
+// RUNTIME STATE (survives restarts)
+// ===========================================
+
+// Map/Set that write through to storage, for timeouts, immunity and link codes
+function persistentMap(collection) {
+  return new PersistentMap(storage, collection);
 }
 
-function setUserSession(odiscordId, lobbyId) {
-  const sessions = loadSessions();
-  sessions[odiscordId] = { lobbyId, updatedAt: Date.now() };
-  saveSessions(sessions);
+function persistentSet(collection) {
+  return new PersistentSet(storage, collection);
 }
 
-function getUserSession(odiscordId) {
-  const sessions = loadSessions();
-  return sessions[odiscordId] || null;
+function getSavedLobbies() {
+  return storage.values('lobbies');
 }
 
-function clearUserSession(odiscordId) {
-  const sessions = loadSessions();
-  delete sessions[odiscordId];
-  saveSessions(sessions);
+// Replace the stored lobby snapshot with the given lobbies
+function saveLobbies(lobbies) {
+  transaction(() => {
+    const ids = new Set(lobbies.map(l => l.id));
+    for (const code of storage.keys('lobbies')) {
+      if (!ids.has(code)) storage.delete('lobbies', code);
+    }
+    for (const lobby of lobbies) {
+      storage.set('lobbies', lobby.id, lobby);
+    }
+  });
 }
 
-function clearLobbySession(lobbyId) {
-  const sessions = loadSessions();
-  for (const odiscordId of Object.keys(sessions)) {
-    if (sessions[odiscordId].lobbyId === lobbyId) {
-      delete sessions[odiscordId];
+// Drop sessions that point at lobbies which no longer exist
+function clearStaleSessions(activeLobbyIds) {
+  let cleared = 0;
+  transaction(() => {
+    for (const [odiscordId, session] of storage.entries('sessions')) {
+      if (!activeLobbyIds.has(session.lobbyId)) {
+        storage.delete('sessions', odiscordId);
+        cleared++;
+      }
     }
-  }
-  saveSessions(sessions);
+  });
+  return cleared;
 }
 
 // ===========================================
 // MATCHES
 // ===========================================
 
-function loadMatches() {
-  try {
-    if (fs.existsSync(MATCHES_PATH)) {
-      const data = fs.readFileSync(MATCHES_PATH, 'utf8');
-      return JSON.parse(data);
+// Lightweight in-memory index of every match, newest first, so history
+// queries only load the page they return. Rebuilt whenever it falls out
+// of step with storage (e.g. after an import or a rolled-back save).
+let matchIndex = null;
+
+function indexEntry(match) {
+  const players = new Set();
+  for (const list of [match.winners, match.losers, match.team1, match.team2]) {
+    for (const p of list || []) {
+      if (p?.odiscordId) players.add(p.odiscordId);
     }
-  } catch (error) {
-    console.error('Error loading matches:', error);
   }
-  return [];
+  return {
+    id: match.id,
+    timestamp: match.timestamp || 0,
+    lobbyId: match.lobbyId || null,
+    isRanked: match.isRanked !== false,
+    isDraw: !!match.isDraw,
+    players
+  };
+}
+
+// Newest first; ties broken by ID so the order (and cursors) are stable
+function compareEntries(a, b) {
+  return b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+function getMatchIndex() {
+  if (!matchIndex || matchIndex.length !== storage.count('matches')) {
+    matchIndex = storage.values('matches').map(indexEntry).sort(compareEntries);
+  }
+  return matchIndex;
+}
+
+function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.timestamp, entry.id])).toString('base64url');
 }
 
-function saveMatches(data) {
+function decodeCursor(cursor) {
   try {
-    fs.writeFileSync(MATCHES_PATH, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving matches:', error);
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof timestamp === 'number' && typeof id === 'string') {
+      return { timestamp, id };
+    }
+  } catch (e) {
+    // Fall through
   }
+  throw new Error('Invalid cursor');
 }
 
 function saveMatch(matchData) {
-  const matches = loadMatches();
+  const timestamp = Date.now();
+  let id = `M${timestamp}`;
+  // Two matches finishing in the same millisecond must not overwrite each other
+  for (let n = 2; storage.has('matches', id); n++) {
+    id = `M${timestamp}-${n}`;
+  }
+
   const match = {
-    id: `M${Date.now()}`,
-    timestamp: Date.now(),
-    date: new Date().toISOString(),
+    id,
+    timestamp,
+    date: new Date(timestamp).toISOString(),
+    seasonId: getCurrentSeason().id,
     ...matchData
   };
-  matches.unshift(match);
-  // Keep only last 1000 matches
-  if (matches.length > 1000) {
-    matches.length = 1000;
+  storage.set('matches', id, match);
+
+  // Ranked draws don't go through processMatchResult, so saving one is what
+  // keeps its players safe from rank decay
+  if (match.isRanked !== false) {
+    for (const odiscordId of indexEntry(match).players) {
+      updatePlayer(odiscordId, { lastRankedMatchAt: timestamp });
+    }
+  }
+
+  if (matchIndex) {
+    const entry = indexEntry(match);
+    const at = matchIndex.findIndex(e => compareEntries(entry, e) < 0);
+    matchIndex.splice(at === -1 ? matchIndex.length : at, 0, entry);
   }
-  saveMatches(matches);
   return match;
 }
 
+function getMatch(id) {
+  return storage.get('matches', id);
+}
+
+// Query match history, newest first.
+// Filters: playerId, lobbyId, isRanked, isDraw, from/to (ms timestamps).
+// Returns { matches, nextCursor }; pass nextCursor back to get the next page.
+function queryMatches({ playerId, lobbyId, isRanked, isDraw, from, to, cursor, limit = 20 } = {}) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const page = [];
+  let hasMore = false;
+
+  for (const entry of getMatchIndex()) {
+    if (after && compareEntries(after, entry) >= 0) continue;
+    if (playerId && !entry.players.has(playerId)) continue;
+    if (lobbyId && entry.lobbyId !== lobbyId) continue;
+    if (isRanked !== undefined && entry.isRanked !== isRanked) continue;
+    if (isDraw !== undefined && entry.isDraw !== isDraw) continue;
+    if (from !== undefined && entry.timestamp < from) continue;
+    if (to !== undefined && entry.timestamp > to) continue;
+
+    if (page.length === limit) {
+      hasMore = true;
+      break;
+    }
+    page.push(entry);
+  }
+
+  return {
+    matches: page.map(entry => storage.get('matches', entry.id)).filter(Boolean),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
 function getPlayerMatches(odiscordId, limit = 10) {
-  const matches = loadMatches();
-  return matches
-    .filter(m => 
-      m.winners?.some(p => p.odiscordId === odiscordId) ||
-      m.losers?.some(p => p.odiscordId === odiscordId)
-    )
-    .slice(0, limit);
+  return queryMatches({ playerId: odiscordId, limit }).matches;
 }
 
 function getRecentMatches(limit = 20) {
-  const matches = loadMatches();
-  return matches.slice(0, limit);
+  return queryMatches({ limit }).matches;
+}
+
+// Every match, newest first (for backups and rating replays)
+function getAllMatches() {
+  return getMatchIndex().map(entry => storage.get('matches', entry.id)).filter(Boolean);
 }
 
 function clearAllMatches() {
-  saveMatches([]);
+  storage.clear('matches');
+  matchIndex = null;
   console.log('All matches cleared');
 }
 
+// ===========================================
+// SEASONS
+// ===========================================
+
+function getCurrentSeason() {
+  return storage.values('seasons').find(season => !season.endedAt);
+}
+
+// All seasons, oldest first, without their standings
+function getSeasons() {
+  return storage.values('seasons')
+    .sort((a, b) => a.id - b.id)
+    .map(({ standings, ...season }) => ({ ...season, playerCount: standings?.length ?? null }));
+}
+
+function getSeason(id) {
+  return storage.get('seasons', id);
+}
+
+// A player's win/loss counters for the current season (zeroed if the
+// stored ones belong to an earlier season)
+function currentSeasonStats(player) {
+  const seasonId = getCurrentSeason().id;
+  if (player.seasonStats?.seasonId === seasonId) {
+    return player.seasonStats;
+  }
+  return { seasonId, wins: 0, losses: 0, gamesPlayed: 0 };
+}
+
+// Final standings of a closed season, or the live standings of the current one
+function getSeasonLeaderboard(id, limit = 100) {
+  const season = getSeason(id);
+  if (!season) return null;
+
+  if (season.endedAt) {
+    return season.standings.slice(0, limit);
+  }
+  return buildStandings(season.id).slice(0, limit);
+}
+
+function buildStandings(seasonId) {
+  return storage.values('players')
+    .map(p => ({ player: p, season: p.seasonStats?.seasonId === seasonId ? p.seasonStats : null }))
+    .filter(({ season }) => season && season.gamesPlayed > 0)
+    .sort((a, b) => b.player.elo - a.player.elo)
+    .map(({ player, season }, index) => ({
+      position: index + 1,
+      odiscordId: player.odiscordId,
+      username: player.username,
+      avatar: player.avatar,
+      elo: player.elo,
+      rank: displayRank(player),
+      wins: season.wins,
+      losses: season.losses,
+      gamesPlayed: season.gamesPlayed
+    }));
+}
+
+// Archived seasons a player took part in, plus the current one
+function getPlayerSeasons(odiscordId) {
+  const player = storage.get('players', odiscordId);
+  if (!player) return [];
+
+  const current = getCurrentSeason();
+  const stats = currentSeasonStats(player);
+  const archived = Object.values(player.seasonHistory || {}).sort((a, b) => b.seasonId - a.seasonId);
+
+  return [{ ...stats, seasonName: current.name, elo: player.elo, rank: displayRank(player), current: true }, ...archived];
+}
+
+// Close the current season: archive final standings (on the season and on
+// each player), soft-reset ELO towards STARTING_ELO and open the next one.
+// compression is the fraction of each player's distance from STARTING_ELO
+// they keep (0 = everyone back to STARTING_ELO, 1 = no reset).
+function closeSeason({ name, compression = CONFIG.SEASON_RESET_COMPRESSION } = {}) {
+  // null, strings etc. would otherwise pass the range check (null >= 0) and
+  // act as 0, resetting everyone to STARTING_ELO
+  if (typeof compression !== 'number' || !Number.isFinite(compression) || compression < 0 || compression > 1) {
+    throw new Error('compression must be a number between 0 and 1');
+  }
+
+  return transaction(() => {
+    const season = getCurrentSeason();
+    const now = Date.now();
+    const standings = buildStandings(season.id);
+    const positions = new Map(standings.map(s => [s.odiscordId, s]));
+
+    storage.set('seasons', season.id, { ...season, endedAt: now, standings, compression });
+
+    const next = {
+      id: season.id + 1,
+      name: name || `Season ${season.id + 1}`,
+      startedAt: now,
+      endedAt: null
+    };
+    storage.set('seasons', next.id, next);
+
+    const rankChanges = [];
+    for (const player of storage.values('players')) {
+      const oldElo = player.elo;
+      const newElo = Math.round(CONFIG.STARTING_ELO + (oldElo - CONFIG.STARTING_ELO) * compression);
+      const final = positions.get(player.odiscordId);
+
+      if (final) {
+        player.seasonHistory = {
+          ...player.seasonHistory,
+          [season.id]: {
+            seasonId: season.id,
+            seasonName: season.name,
+            position: final.position,
+            elo: final.elo,
+            rank: final.rank,
+            wins: final.wins,
+            losses: final.losses,
+            gamesPlayed: final.gamesPlayed
+          }
+        };
+      }
+
+      player.elo = newElo;
+      player.seasonStats = { seasonId: next.id, wins: 0, losses: 0, gamesPlayed: 0 };
+      storage.set('players', player.odiscordId, player);
+
+      const rankChange = recordEloChange(player.odiscordId, oldElo, newElo, 'season-reset', { seasonId: season.id });
+      if (rankChange) rankChanges.push(rankChange);
+    }
+
+    console.log(`Closed ${season.name} (${standings.length} ranked players), started ${next.name}`);
+    return { closed: { ...season, endedAt: now, playerCount: standings.length }, next, rankChanges };
+  });
+}
+
+// ===========================================
+// RANK DECAY
+// ===========================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// When a player's next decay step is due, or null if their tier doesn't decay.
+// The first step of a stretch of inactivity is never sooner than
+// WARNING_DAYS after they were warned, however late the warning went out.
+function getNextDecayAt(player) {
+  const tier = CONFIG.RANK_DECAY.TIERS[getRank(player.elo)];
+  if (!tier || !player.lastRankedMatchAt) return null;
+
+  // Decay steps taken since their last ranked match continue weekly
+  if (player.lastDecayAt > player.lastRankedMatchAt) {
+    return player.lastDecayAt + WEEK;
+  }
+  const graceEndsAt = player.lastRankedMatchAt + tier.GRACE_DAYS * DAY;
+  if (player.decayWarnedAt > player.lastRankedMatchAt) {
+    return Math.max(graceEndsAt, player.decayWarnedAt + CONFIG.RANK_DECAY.WARNING_DAYS * DAY);
+  }
+  return graceEndsAt;
+}
+
+// Apply the decay steps that are due by now and flag players whose decay
+// starts within WARNING_DAYS. Returns { warnings, decayed, rankChanges }:
+//   warnings:    [{ odiscordId, username, rank, decayAt, eloPerWeek }]
+//   decayed:     [{ odiscordId, username, oldElo, newElo, oldRank, newRank }]
+//   rankChanges: events from recordEloChange
+// Each player is warned once per stretch of inactivity, before their first
+// step, and loses at most one step per week.
+function applyRankDecay(now = Date.now()) {
+  return transaction(() => {
+    const warnings = [];
+    const decayed = [];
+    const rankChanges = [];
+
+    for (const player of storage.values('players')) {
+      const oldElo = player.elo;
+      const decayAt = getNextDecayAt(player);
+      if (!decayAt) continue;
+
+      const warned = player.decayWarnedAt > player.lastRankedMatchAt;
+      if (!warned) {
+        if (decayAt - now <= CONFIG.RANK_DECAY.WARNING_DAYS * DAY) {
+          player.decayWarnedAt = now;
+          updatePlayer(player.odiscordId, { decayWarnedAt: now });
+          const tier = CONFIG.RANK_DECAY.TIERS[getRank(player.elo)];
+          warnings.push({ odiscordId: player.odiscordId, username: player.username, rank: getRank(player.elo), decayAt: getNextDecayAt(player), eloPerWeek: tier.ELO_PER_WEEK });
+        }
+        continue;
+      }
+      if (decayAt > now) continue;
+
+      const tier = CONFIG.RANK_DECAY.TIERS[getRank(player.elo)];
+      player.elo = Math.max(0, player.elo - tier.ELO_PER_WEEK);
+      // Steps missed while the server was down aren't made up: the next one
+      // is a week after this one
+      player.lastDecayAt = now;
+      if (player.elo === oldElo) continue;
+
+      updatePlayer(player.odiscordId, { elo: player.elo, lastDecayAt: player.lastDecayAt });
+      const rankChange = recordEloChange(player.odiscordId, oldElo, player.elo, 'decay');
+      if (rankChange) rankChanges.push(rankChange);
+      const change = {
+        odiscordId: player.odiscordId,
+        username: player.username,
+        oldElo,
+        newElo: player.elo,
+        oldRank: getRank(oldElo),
+        newRank: getRank(player.elo)
+      };
+      decayed.push(change);
+      logAudit('rank-decay', {
+        actor: { type: 'system', id: 'rank-decay', name: 'Rank decay' },
+        target: { id: player.odiscordId, name: player.username },
+        before: { elo: oldElo, rank: change.oldRank },
+        after: { elo: player.elo, rank: change.newRank },
+        details: { lastRankedMatchAt: player.lastRankedMatchAt }
+      });
+    }
+
+    return { warnings, decayed, rankChanges };
+  });
+}
+
+// ===========================================
+// AUDIT LOG
+// ===========================================
+
+// Record a moderation/admin action. actor and target are { type?, id, name }.
+// before/after hold the values that changed; details anything else useful.
+function logAudit(action, { actor, target = null, before = null, after = null, reason = null, details = null }) {
+  const timestamp = Date.now();
+  let id = `A${timestamp}`;
+  for (let n = 2; storage.has('audit', id); n++) {
+    id = `A${timestamp}-${n}`;
+  }
+
+  const entry = {
+    id,
+    timestamp,
+    date: new Date(timestamp).toISOString(),
+    action,
+    actor: actor ? { type: actor.type || 'discord', id: actor.id, name: actor.name || null } : null,
+    target,
+    before,
+    after,
+    reason,
+    details
+  };
+  storage.set('audit', id, entry);
+  console.log(`[AUDIT] ${action} by ${actor?.name || actor?.id || 'unknown'}${target ? ` on ${target.name || target.id}` : ''}`);
+  return entry;
+}
+
+// Query the audit log, newest first. Filters: action, actorId, targetId, from/to.
+// Returns { entries, nextCursor } like queryMatches.
+function queryAuditLog({ action, actorId, targetId, from, to, cursor, limit = 50 } = {}) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const entries = storage.values('audit')
+    .sort(compareEntries)
+    .filter(e =>
+      (!after || compareEntries(after, e) < 0) &&
+      (!action || e.action === action) &&
+      (!actorId || e.actor?.id === actorId) &&
+      (!targetId || e.target?.id === targetId) &&
+      (from === undefined || e.timestamp >= from) &&
+      (to === undefined || e.timestamp <= to)
+    );
+
+  const page = entries.slice(0, limit);
+  return {
+    entries: page,
+    nextCursor: entries.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
 // ===========================================
 // PLAYER MANAGEMENT
 // ===========================================
 
 function getPlayer(odiscordId) {
-  const db = loadDatabase();
-  const player = db[odiscordId];
+  const player = storage.get('players', odiscordId);
   
   if (!player) return null;
   
-  player.rank = getRank(player.elo);
+  player.rank = displayRank(player);
   player.kdr = player.totalDeaths > 0 
     ? (player.totalKills / player.totalDeaths).toFixed(2) 
     : (player.totalKills || 0).toFixed(2);
+  player.provisional = isProvisional(player);
+  player.decayAt = CONFIG.RANK_DECAY.ENABLED ? getNextDecayAt(player) : null;
+  player.mainClass = getMainClass(player);
+  player.classMastery = getClassMastery(player);
   
   // Add Minecraft info
   const mcLink = getMinecraftByDiscord(odiscordId);
@@ -233,17 +571,25 @@ function getPlayer(odiscordId) {
 }
 
 function getOrCreatePlayer(odiscordId, username, avatar) {
-  const db = loadDatabase();
+  let player = storage.get('players', odiscordId);
   
   // Get MC link if exists
   const mcLink = getMinecraftByDiscord(odiscordId);
   
-  if (!db[odiscordId]) {
-    db[odiscordId] = {
+  if (!player) {
+    player = {
       odiscordId,
       username,
       avatar,
       elo: CONFIG.STARTING_ELO,
+      ratingDeviation: CONFIG.GLICKO.INITIAL_RD,
+      volatility: CONFIG.GLICKO.INITIAL_VOLATILITY,
+      peakElo: CONFIG.STARTING_ELO,
+      peakRank: getRank(CONFIG.STARTING_ELO),
+      peakAt: null,
+      currentStreak: 0,
+      longestWinStreak: 0,
+      longestLossStreak: 0,
       wins: 0,
       losses: 0,
       gamesPlayed: 0,
@@ -261,30 +607,18 @@ function getOrCreatePlayer(odiscordId, username, avatar) {
       },
       createdAt: Date.now()
     };
-    saveDatabase(db);
   } else {
     // Update username and avatar
-    db[odiscordId].username = username;
-    db[odiscordId].avatar = avatar;
-    
-    // Ensure classStats exists for older players
-    if (!db[odiscordId].classStats) {
-      db[odiscordId].classStats = {
-        Tank: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Brawler: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Sniper: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Trickster: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Support: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 }
-      };
-    }
-    saveDatabase(db);
+    player.username = username;
+    player.avatar = avatar;
   }
+  storage.set('players', odiscordId, player);
   
-  const player = db[odiscordId];
-  player.rank = getRank(player.elo);
+  player.rank = displayRank(player);
   player.kdr = player.totalDeaths > 0 
     ? (player.totalKills / player.totalDeaths).toFixed(2) 
     : (player.totalKills || 0).toFixed(2);
+  player.provisional = isProvisional(player);
   
   // Attach MC data if linked
   if (mcLink) {
@@ -296,25 +630,24 @@ function getOrCreatePlayer(odiscordId, username, avatar) {
 }
 
 function updatePlayer(odiscordId, data) {
-  const db = loadDatabase();
-  if (db[odiscordId]) {
-    Object.assign(db[odiscordId], data);
-    saveDatabase(db);
+  const player = storage.get('players', odiscordId);
+  if (player) {
+    storage.set('players', odiscordId, Object.assign(player, data));
   }
 }
 
 function getAllPlayers() {
-  const db = loadDatabase();
-  const links = loadLinks();
+  const links = getAllMinecraftLinks();
   
-  return Object.values(db).map(p => {
-    const mcLink = links.byDiscord[p.odiscordId];
+  return storage.values('players').map(p => {
+    const mcLink = links[p.odiscordId];
     return {
       ...p,
-      rank: getRank(p.elo),
+      rank: displayRank(p),
       kdr: p.totalDeaths > 0 
         ? (p.totalKills / p.totalDeaths).toFixed(2) 
         : (p.totalKills || 0).toFixed(2),
+      provisional: isProvisional(p),
       minecraftUuid: mcLink?.uuid || null,
       minecraftUsername: mcLink?.username || null
     };
@@ -322,105 +655,325 @@ function getAllPlayers() {
 }
 
 // ===========================================
-// ELO CALCULATION (Team Average Based)
+// JSON IMPORT
 // ===========================================
 
-function calculateTeamAverageElo(team) {
-  if (team.length === 0) return CONFIG.STARTING_ELO;
-  const totalElo = team.reduce((sum, p) => sum + (p.elo || CONFIG.STARTING_ELO), 0);
-  return totalElo / team.length;
+// Import players, matches and Minecraft links in the same shapes the JSON
+// files (and /api/admin/backup) use. Existing records with the same ID are
+// overwritten. Imported records are then run through every migration.
+// Why a migrateFromJSON payload can't be imported, or null if it can
+function validateMigrationData(players, matches, links) {
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (players != null && !Array.isArray(players) && !isObject(players)) {
+    return 'players must be an array or an object keyed by Discord ID';
+  }
+  const playerList = Array.isArray(players) ? players : Object.values(players || {});
+  if (!playerList.every(p => isObject(p) && typeof p.odiscordId === 'string' && p.odiscordId)) {
+    return 'Every player needs an odiscordId';
+  }
+
+  if (matches != null && !Array.isArray(matches)) {
+    return 'matches must be an array';
+  }
+  if (!(matches || []).every(m => isObject(m) && m.id)) {
+    return 'Every match needs an id';
+  }
+
+  if (links != null && !isObject(links)) {
+    return 'links must be an object keyed by Discord ID';
+  }
+  return null;
 }
 
-function calculateEloChange(winnerAvgElo, loserAvgElo) {
-  // Base ELO pool is 50 (winners gain, losers lose)
-  const BASE_ELO = 50;
-  
-  // Calculate expected score based on ELO difference
-  const eloDiff = loserAvgElo - winnerAvgElo;
-  const expectedWinner = 1 / (1 + Math.pow(10, eloDiff / 400));
-  
-  // Calculate ELO change (more for upsets, less for expected wins)
-  // Range: ~20 (heavy favorite wins) to ~30 (underdog wins)
-  const eloChange = Math.round(BASE_ELO * (1 - expectedWinner + 0.5) / 1.5);
-  
-  // Clamp between 20 and 30
-  return Math.max(20, Math.min(30, eloChange));
+function migrateFromJSON(players, matches, links) {
+  const invalid = validateMigrationData(players, matches, links);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  const playerList = Array.isArray(players) ? players : Object.values(players || {});
+  const matchList = matches || [];
+  // Accept both the { byDiscord, byUUID } file layout and a plain byDiscord map
+  const linkMap = links?.byDiscord || links || {};
+
+  const summary = { players: 0, matches: 0, links: 0, migrations: [] };
+
+  transaction(() => {
+    for (const player of playerList) {
+      storage.set('players', player.odiscordId, player);
+      summary.players++;
+    }
+
+    for (const match of matchList) {
+      storage.set('matches', match.id, match);
+      summary.matches++;
+    }
+
+    for (const [odiscordId, link] of Object.entries(linkMap)) {
+      if (!link?.uuid) continue;
+      storage.set('links', odiscordId, { uuid: link.uuid, username: link.username });
+      summary.links++;
+    }
+
+    summary.migrations = runMigrations(storage, { fromVersion: 0 });
+  });
+  matchIndex = null;
+
+  console.log(`[MIGRATE] Imported ${summary.players} players, ${summary.matches} matches, ${summary.links} links`);
+  return summary;
 }
 
-function processMatchResult(winnerIds, loserIds, lobbyId) {
-  const db = loadDatabase();
-  
-  // Get all players
-  const winners = winnerIds.map(id => getPlayer(id)).filter(p => p);
-  const losers = loserIds.map(id => getPlayer(id)).filter(p => p);
-  
-  // Calculate team average ELOs
-  const winnerAvgElo = calculateTeamAverageElo(winners);
-  const loserAvgElo = calculateTeamAverageElo(losers);
-  
-  // Calculate ELO change based on team averages
-  const eloChange = calculateEloChange(winnerAvgElo, loserAvgElo);
-  const eloLoss = 50 - eloChange; // Total pool is 50
-  
-  const results = {
-    lobbyId,
-    winnerAvgElo: Math.round(winnerAvgElo),
-    loserAvgElo: Math.round(loserAvgElo),
-    eloGain: eloChange,
-    eloLoss: eloLoss,
-    winners: [],
-    losers: []
+// ===========================================
+// RATING UPDATES
+// ===========================================
+
+// Per-game averages of each class across every player's classStats
+function getClassNorms() {
+  const totals = {};
+  for (const player of storage.values('players')) {
+    for (const [className, stats] of Object.entries(player.classStats || {})) {
+      const total = totals[className] || (totals[className] = { gamesPlayed: 0, kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0 });
+      for (const field of Object.keys(total)) {
+        total[field] += stats[field] || 0;
+      }
+    }
+  }
+
+  const norms = {};
+  for (const [className, total] of Object.entries(totals)) {
+    const { gamesPlayed, ...sums } = total;
+    norms[className] = { gamesPlayed };
+    for (const [field, sum] of Object.entries(sums)) {
+      norms[className][field] = gamesPlayed > 0 ? sum / gamesPlayed : 0;
+    }
+  }
+  return norms;
+}
+
+// Extra ELO for a win that extends a streak to `streak` wins (0 when
+// streak bonuses are off or the streak is too short)
+function getStreakBonus(streak) {
+  const { BONUS_ENABLED, BONUS_FROM, BONUS_PER_WIN, MAX_BONUS } = CONFIG.STREAKS;
+  if (!BONUS_ENABLED || streak < BONUS_FROM) return 0;
+  return Math.min((streak - BONUS_FROM + 1) * BONUS_PER_WIN, MAX_BONUS);
+}
+
+// performance is optional: { [odiscordId]: { stats, class } } from the
+// Minecraft server. With PERFORMANCE.ENABLED it scales each player's change
+// (see performanceModifier) and the breakdown is kept on their result.
+function processMatchResult(winnerIds, loserIds, lobbyId, performance = null) {
+  // All rating updates for one match commit together
+  return transaction(() => {
+    // Get all players
+    const winners = winnerIds.map(id => getPlayer(id)).filter(p => p);
+    const losers = loserIds.map(id => getPlayer(id)).filter(p => p);
+
+    // New ratings from the configured engine (see ratings.js)
+    const rated = rateMatch(winners, losers);
+    const newRatings = new Map([...rated.winners, ...rated.losers].map(r => [r.odiscordId, r]));
+
+    const now = Date.now();
+    const weighted = CONFIG.PERFORMANCE.ENABLED && performance;
+    const norms = weighted ? getClassNorms() : null;
+
+    const results = {
+      lobbyId,
+      ratingEngine: CONFIG.RATING_ENGINE,
+      winnerAvgElo: Math.round(rated.winnerAvgElo),
+      loserAvgElo: Math.round(rated.loserAvgElo),
+      eloGain: rated.eloGain,
+      eloLoss: rated.eloLoss,
+      performanceWeighted: !!weighted,
+      winners: [],
+      losers: [],
+      rankChanges: []
+    };
+
+    for (const [team, isWinner] of [[winners, true], [losers, false]]) {
+      for (const player of team) {
+        const { elo: ratedElo, ...rating } = newRatings.get(player.odiscordId);
+        const oldElo = player.elo;
+
+        let newElo = ratedElo;
+        let breakdown = null;
+        if (weighted) {
+          const played = performance[player.odiscordId];
+          const result = played && performanceModifier(played.stats, played.class, norms[played.class]);
+          if (result) {
+            newElo = Math.max(0, oldElo + applyPerformance(ratedElo - oldElo, result.modifier));
+            breakdown = { class: played.class, baseChange: ratedElo - oldElo, ...result };
+          }
+        }
+
+        // Streaks are signed: +3 is three wins in a row, -2 two losses
+        const streak = isWinner ? Math.max(player.currentStreak || 0, 0) + 1 : Math.min(player.currentStreak || 0, 0) - 1;
+        const streakBonus = isWinner ? getStreakBonus(streak) : 0;
+        newElo += streakBonus;
+
+        // A fresh promotion can't be lost straight away: the shield holds
+        // the player at the tier floor once, within RANK_SHIELD.GAMES games
+        let shield = player.rankShield || null;
+        let shielded = false;
+        if (shield) {
+          if (!isWinner && shield.rank === getRank(oldElo) && newElo < CONFIG.RANKS[shield.rank]) {
+            newElo = CONFIG.RANKS[shield.rank];
+            shielded = true;
+            shield = null;
+          } else {
+            shield = shield.gamesLeft > 1 ? { ...shield, gamesLeft: shield.gamesLeft - 1 } : null;
+          }
+        }
+        const gamesPlayed = (player.gamesPlayed || 0) + 1;
+
+        const season = currentSeasonStats(player);
+        updatePlayer(player.odiscordId, {
+          ...rating,
+          elo: newElo,
+          rankShield: shield,
+          currentStreak: streak,
+          longestWinStreak: Math.max(player.longestWinStreak || 0, streak),
+          longestLossStreak: Math.max(player.longestLossStreak || 0, -streak),
+          wins: (player.wins || 0) + (isWinner ? 1 : 0),
+          losses: (player.losses || 0) + (isWinner ? 0 : 1),
+          gamesPlayed,
+          // Set here rather than in saveMatch: /declarewinner never saves the match
+          lastRankedMatchAt: now,
+          seasonStats: {
+            ...season,
+            wins: season.wins + (isWinner ? 1 : 0),
+            losses: season.losses + (isWinner ? 0 : 1),
+            gamesPlayed: season.gamesPlayed + 1
+          }
+        });
+
+        (isWinner ? results.winners : results.losers).push({
+          odiscordId: player.odiscordId,
+          username: player.username,
+          oldElo,
+          newElo,
+          change: newElo - oldElo,
+          ratingDeviation: rating.ratingDeviation,
+          provisional: isProvisional({ gamesPlayed }),
+          performance: breakdown,
+          streak,
+          streakBonus,
+          oldRank: getRank(oldElo),
+          newRank: getRank(newElo),
+          shielded
+        });
+
+        const rankChange = recordEloChange(player.odiscordId, oldElo, newElo, 'match', { lobbyId });
+        if (rankChange) results.rankChanges.push(rankChange);
+      }
+    }
+
+    // NOTE: Don't save match here - caller will add stats and save
+
+    return results;
+  });
+}
+
+// Recompute every player's rating from scratch by replaying ranked match
+// history, oldest first, with the given engine. Season soft resets are
+// applied at each season boundary using that season's compression, and
+// performance modifiers and streak bonuses saved on the match are applied
+// again. Win/loss
+// counters are left alone. With dryRun nothing is written.
+// Returns [{ odiscordId, username, oldElo, newElo, rankChange }] for every
+// player (rankChange is the recordEloChange event, if any).
+function replayRatings({ engine = CONFIG.RATING_ENGINE, dryRun = false } = {}) {
+  if (!ENGINES[engine]) {
+    throw new Error(`Unknown rating engine "${engine}"`);
+  }
+
+  const fresh = () => ({
+    elo: CONFIG.STARTING_ELO,
+    ratingDeviation: CONFIG.GLICKO.INITIAL_RD,
+    volatility: CONFIG.GLICKO.INITIAL_VOLATILITY,
+    gamesPlayed: 0
+  });
+  const ratings = new Map(storage.values('players').map(p => [p.odiscordId, fresh()]));
+  const ratingOf = (odiscordId) => {
+    if (!ratings.has(odiscordId)) ratings.set(odiscordId, fresh());
+    return { odiscordId, ...ratings.get(odiscordId) };
   };
-  
-  // Update winners
-  for (const player of winners) {
-    const oldElo = player.elo;
-    const newElo = oldElo + eloChange;
-    
-    updatePlayer(player.odiscordId, {
-      elo: newElo,
-      wins: (player.wins || 0) + 1,
-      gamesPlayed: (player.gamesPlayed || 0) + 1
-    });
-    
-    results.winners.push({
-      odiscordId: player.odiscordId,
-      username: player.username,
-      oldElo,
-      newElo,
-      change: eloChange
-    });
+
+  const seasons = new Map(storage.values('seasons').map(season => [season.id, season]));
+  let seasonId = null;
+
+  const matches = getAllMatches()
+    .reverse()
+    .filter(m => m.isRanked !== false && !m.isDraw && m.winners?.length && m.losers?.length);
+
+  for (const match of matches) {
+    // Soft-reset for every season closed since the previous match
+    if (seasonId !== null && match.seasonId > seasonId) {
+      for (let id = seasonId; id < match.seasonId; id++) {
+        const compression = seasons.get(id)?.compression ?? CONFIG.SEASON_RESET_COMPRESSION;
+        for (const rating of ratings.values()) {
+          rating.elo = Math.round(CONFIG.STARTING_ELO + (rating.elo - CONFIG.STARTING_ELO) * compression);
+        }
+      }
+    }
+    seasonId = match.seasonId ?? seasonId;
+
+    const rated = rateMatch(
+      match.winners.map(p => ratingOf(p.odiscordId)),
+      match.losers.map(p => ratingOf(p.odiscordId)),
+      engine
+    );
+    // Reuse any performance modifier and streak bonus recorded when the
+    // match was played
+    const recorded = new Map([...match.winners, ...match.losers].map(p => [p.odiscordId, p]));
+
+    for (const { odiscordId, ...rating } of [...rated.winners, ...rated.losers]) {
+      const current = ratings.get(odiscordId);
+      const { performance, streakBonus } = recorded.get(odiscordId) || {};
+      if (performance) {
+        rating.elo = Math.max(0, current.elo + applyPerformance(rating.elo - current.elo, performance.modifier));
+      }
+      rating.elo += streakBonus || 0;
+      Object.assign(current, rating, { gamesPlayed: current.gamesPlayed + 1 });
+    }
   }
-  
-  // Update losers
-  for (const player of losers) {
-    const oldElo = player.elo;
-    const newElo = Math.max(0, oldElo - eloLoss); // Don't go below 0
-    
-    updatePlayer(player.odiscordId, {
-      elo: newElo,
-      losses: (player.losses || 0) + 1,
-      gamesPlayed: (player.gamesPlayed || 0) + 1
-    });
-    
-    results.losers.push({
-      odiscordId: player.odiscordId,
-      username: player.username,
-      oldElo,
-      newElo,
-      change: -eloLoss
-    });
+
+  // Seasons closed after the last replayed match still reset everyone
+  const current = getCurrentSeason();
+  for (let id = seasonId ?? current.id; id < current.id; id++) {
+    const compression = seasons.get(id)?.compression ?? CONFIG.SEASON_RESET_COMPRESSION;
+    for (const rating of ratings.values()) {
+      rating.elo = Math.round(CONFIG.STARTING_ELO + (rating.elo - CONFIG.STARTING_ELO) * compression);
+    }
   }
-  
-  // NOTE: Don't save match here - caller will add stats and save
-  
-  return results;
+
+  const changes = [];
+  const apply = () => {
+    for (const player of storage.values('players')) {
+      const { elo, ratingDeviation, volatility } = ratings.get(player.odiscordId);
+      let rankChange = null;
+      if (!dryRun) {
+        storage.set('players', player.odiscordId, { ...player, elo, ratingDeviation, volatility });
+        rankChange = recordEloChange(player.odiscordId, player.elo, elo, 'replay', { engine });
+      }
+      changes.push({ odiscordId: player.odiscordId, username: player.username, oldElo: player.elo, newElo: elo, rankChange });
+    }
+  };
+  dryRun ? apply() : transaction(apply);
+
+  console.log(`${dryRun ? 'Dry run: replayed' : 'Replayed'} ${matches.length} matches with ${engine}`);
+  return changes;
 }
 
 // ===========================================
 // RANK HELPERS
 // ===========================================
 
+// The rank shown for a player: provisional players haven't placed yet
+function displayRank(player) {
+  return isProvisional(player) ? 'Unranked' : getRank(player.elo);
+}
+
 function getRank(elo) {
   if (elo >= CONFIG.RANKS.Netherite) return 'Netherite';
   if (elo >= CONFIG.RANKS.Diamond) return 'Diamond';
@@ -431,41 +984,569 @@ function getRank(elo) {
   return 'Copper';
 }
 
+// ===========================================
+// ELO HISTORY
+// ===========================================
+// Rating history, one document per player in 'eloHistory':
+// [{ timestamp, elo, change, reason, details }], oldest first, keeping the
+// last ELO_HISTORY_LIMIT points.
+
+// Record an ELO change: append it to the player's history, update their
+// peak ELO/rank and record any rank change (returned, see recordRankChange).
+// Every code path that changes a player's ELO should go through here.
+function recordEloChange(odiscordId, oldElo, newElo, reason, details = null) {
+  const player = storage.get('players', odiscordId);
+  if (!player || oldElo === newElo) return null;
+
+  const timestamp = Date.now();
+  const history = storage.get('eloHistory', odiscordId) || [];
+  history.push({ timestamp, elo: newElo, change: newElo - oldElo, reason, details });
+  history.splice(0, Math.max(0, history.length - CONFIG.ELO_HISTORY_LIMIT));
+  storage.set('eloHistory', odiscordId, history);
+
+  if (newElo > (player.peakElo ?? -Infinity)) {
+    updatePlayer(odiscordId, { peakElo: newElo, peakRank: getRank(newElo), peakAt: timestamp });
+  }
+
+  return recordRankChange(odiscordId, oldElo, newElo, reason, details);
+}
+
+const BUCKETS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+// A player's ELO history between from and to. Without bucket every change
+// is returned; with 'day' or 'week' (UTC, weeks start Monday) points are
+// grouped into { start, open, close, high, low, changes } per bucket.
+function getEloHistory(odiscordId, { from, to, bucket } = {}) {
+  if (bucket && !BUCKETS[bucket]) {
+    throw new Error('bucket must be day or week');
+  }
+
+  const points = (storage.get('eloHistory', odiscordId) || [])
+    .filter(p => (from === undefined || p.timestamp >= from) && (to === undefined || p.timestamp <= to));
+  if (!bucket) return points;
+
+  // 1970-01-01 was a Thursday; shift so weeks start on Monday
+  const offset = bucket === 'week' ? 4 * BUCKETS.day : 0;
+  const buckets = new Map();
+  for (const point of points) {
+    const start = Math.floor((point.timestamp - offset) / BUCKETS[bucket]) * BUCKETS[bucket] + offset;
+    const current = buckets.get(start);
+    if (!current) {
+      buckets.set(start, {
+        start,
+        open: point.elo - point.change,
+        close: point.elo,
+        high: Math.max(point.elo, point.elo - point.change),
+        low: Math.min(point.elo, point.elo - point.change),
+        changes: 1
+      });
+    } else {
+      current.close = point.elo;
+      current.high = Math.max(current.high, point.elo);
+      current.low = Math.min(current.low, point.elo);
+      current.changes++;
+    }
+  }
+  return [...buckets.values()];
+}
+
+function clearEloHistory() {
+  storage.clear('eloHistory');
+}
+
+// ===========================================
+// RANK CHANGES
+// ===========================================
+
+// Tier names, lowest first
+const RANK_ORDER = Object.keys(CONFIG.RANKS).sort((a, b) => CONFIG.RANKS[a] - CONFIG.RANKS[b]);
+
+// If oldElo -> newElo crosses a rank threshold, add the change to the
+// player's rankHistory and return it as an event:
+// { odiscordId, username, oldRank, newRank, direction, oldElo, newElo, reason, details, timestamp }
+// reason is 'match', 'decay', 'season-reset', 'admin', 'import' or 'replay'.
+// Promotions from a match also grant a demotion shield (see RANK_SHIELD).
+function recordRankChange(odiscordId, oldElo, newElo, reason, details = null) {
+  const oldRank = getRank(oldElo);
+  const newRank = getRank(newElo);
+  const player = storage.get('players', odiscordId);
+  if (oldRank === newRank || !player) return null;
+
+  const direction = RANK_ORDER.indexOf(newRank) > RANK_ORDER.indexOf(oldRank) ? 'promotion' : 'demotion';
+  const entry = { oldRank, newRank, direction, oldElo, newElo, reason, details, timestamp: Date.now() };
+
+  const update = { rankHistory: [...(player.rankHistory || []), entry] };
+  if (CONFIG.RANK_SHIELD.ENABLED && reason === 'match') {
+    update.rankShield = direction === 'promotion' ? { rank: newRank, gamesLeft: CONFIG.RANK_SHIELD.GAMES } : null;
+  }
+  updatePlayer(odiscordId, update);
+
+  return { odiscordId, username: player.username, ...entry };
+}
+
 // ===========================================
 // LEADERBOARD
 // ===========================================
 
+// Sort keys for queryLeaderboard. Each reads the stat block being ranked:
+// the player's lifetime totals, or their classStats for a class view.
+const LEADERBOARD_SORTS = {
+  elo: (stats, player) => player.elo,
+  wins: (stats) => stats.wins || 0,
+  winRate: (stats) => (stats.gamesPlayed > 0 ? (stats.wins || 0) / stats.gamesPlayed : 0),
+  kdr: (stats) => (stats.deaths > 0 ? (stats.kills || 0) / stats.deaths : (stats.kills || 0)),
+  kills: (stats) => stats.kills || 0,
+  damage: (stats) => stats.damage || 0,
+  healing: (stats) => stats.healing || 0,
+  gamesPlayed: (stats) => stats.gamesPlayed || 0
+};
+
+function lifetimeStats(player) {
+  return {
+    wins: player.wins || 0,
+    gamesPlayed: player.gamesPlayed || 0,
+    kills: player.totalKills || 0,
+    deaths: player.totalDeaths || 0,
+    assists: player.totalAssists || 0,
+    damage: player.totalDamage || 0,
+    healing: player.totalHealing || 0
+  };
+}
+
+function encodeLeaderboardCursor(row) {
+  return Buffer.from(JSON.stringify([row.value, row.odiscordId])).toString('base64url');
+}
+
+function decodeLeaderboardCursor(cursor) {
+  try {
+    const [value, odiscordId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof value === 'number' && typeof odiscordId === 'string') {
+      return { value, odiscordId };
+    }
+  } catch (e) {
+    // Fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+// Highest value first; ties broken by ID so positions and cursors are stable
+function compareRows(a, b) {
+  return b.value - a.value || (a.odiscordId < b.odiscordId ? -1 : a.odiscordId > b.odiscordId ? 1 : 0);
+}
+
+// Ranked leaderboard page.
+//   sort:      a LEADERBOARD_SORTS key (default elo)
+//   className: rank by that class's classStats instead of lifetime totals
+//   rank:      only players currently in this tier ('Unranked' for provisional players)
+//   minGames:  minimum games played (of className, if given)
+//   offset or cursor (nextCursor from the previous page), limit
+//   playerId:  also return this player's row as self, wherever they are
+// Returns { players, total, nextCursor, self }. Each row has position (in
+// the whole filtered list) and value (what it was sorted by).
+function queryLeaderboard({ sort = 'elo', className, rank, minGames = 1, offset = 0, cursor, limit = 50, playerId } = {}) {
+  const valueOf = Object.hasOwn(LEADERBOARD_SORTS, sort) && LEADERBOARD_SORTS[sort];
+  if (!valueOf) {
+    throw new Error(`sort must be one of ${Object.keys(LEADERBOARD_SORTS).join(', ')}`);
+  }
+  if (className && !Object.values(CONFIG.CLASSES).includes(className)) {
+    throw new Error(`class must be one of ${Object.values(CONFIG.CLASSES).join(', ')}`);
+  }
+  if (rank && rank !== 'Unranked' && !Object.hasOwn(CONFIG.RANKS, rank)) {
+    throw new Error(`rank must be one of ${[...Object.keys(CONFIG.RANKS), 'Unranked'].join(', ')}`);
+  }
+
+  const rows = [];
+  for (const player of storage.values('players')) {
+    const stats = className ? player.classStats?.[className] : lifetimeStats(player);
+    if (!stats || (stats.gamesPlayed || 0) < Math.max(minGames, 1)) continue;
+    if (rank && displayRank(player) !== rank) continue;
+    rows.push({ player, stats, odiscordId: player.odiscordId, value: valueOf(stats, player) });
+  }
+  rows.sort(compareRows);
+
+  let start = offset;
+  if (cursor) {
+    const after = decodeLeaderboardCursor(cursor);
+    const index = rows.findIndex(row => compareRows(after, row) < 0);
+    start = index === -1 ? rows.length : index;
+  }
+
+  const toEntry = ({ player, stats, value }, index) => ({
+    ...player,
+    position: index + 1,
+    value,
+    rank: displayRank(player),
+    kdr: player.totalDeaths > 0 
+      ? (player.totalKills / player.totalDeaths).toFixed(2) 
+      : (player.totalKills || 0).toFixed(2),
+    provisional: isProvisional(player),
+    mainClass: getMainClass(player),
+    ...(className ? { classStats: undefined, class: className, stats } : {})
+  });
+
+  const page = rows.slice(start, start + limit);
+  const selfIndex = playerId ? rows.findIndex(row => row.odiscordId === playerId) : -1;
+
+  return {
+    players: page.map((row, i) => toEntry(row, start + i)),
+    total: rows.length,
+    nextCursor: start + limit < rows.length ? encodeLeaderboardCursor(page[page.length - 1]) : null,
+    self: selfIndex === -1 ? null : toEntry(rows[selfIndex], selfIndex)
+  };
+}
+
+// Top players by ELO
 function getLeaderboard(limit = 50) {
-  const db = loadDatabase();
-  const players = Object.values(db)
-    .filter(p => p.gamesPlayed > 0)
-    .sort((a, b) => b.elo - a.elo)
-    .slice(0, limit)
-    .map(p => ({
-      ...p,
-      rank: getRank(p.elo),
-      kdr: p.totalDeaths > 0 
-        ? (p.totalKills / p.totalDeaths).toFixed(2) 
-        : (p.totalKills || 0).toFixed(2)
-    }));
-  
-  return players;
+  return queryLeaderboard({ limit }).players;
+}
+
+// ===========================================
+// ACHIEVEMENTS
+// ===========================================
+
+// Store newly earned achievements (see achievements.js) on the player.
+// Returns the ones actually unlocked, with their descriptions.
+function unlockAchievements(odiscordId, ids) {
+  const player = storage.get('players', odiscordId);
+  if (!player) return [];
+
+  const unlockedAt = Date.now();
+  const fresh = ids.filter(id => !player.achievements?.[id] && describeAchievement(id));
+  if (fresh.length === 0) return [];
+
+  updatePlayer(odiscordId, {
+    achievements: { ...player.achievements, ...Object.fromEntries(fresh.map(id => [id, unlockedAt])) }
+  });
+  return fresh.map(id => ({ ...describeAchievement(id), unlockedAt }));
+}
+
+// A player's unlocked achievements, newest first
+function getPlayerAchievements(odiscordId) {
+  const player = storage.get('players', odiscordId);
+  return Object.entries(player?.achievements || {})
+    .map(([id, unlockedAt]) => describeAchievement(id) && { ...describeAchievement(id), unlockedAt })
+    .filter(Boolean)
+    .sort((a, b) => b.unlockedAt - a.unlockedAt);
+}
+
+// Every achievement with how many players (and what share of players who
+// have played) have unlocked it
+function getAchievementStats() {
+  const players = storage.values('players').filter(p => p.gamesPlayed > 0);
+  return ACHIEVEMENTS.map(({ id }) => {
+    const unlocked = players.filter(p => p.achievements?.[id]).length;
+    return {
+      ...describeAchievement(id),
+      unlocked,
+      unlockRate: players.length > 0 ? Math.round(unlocked / players.length * 1000) / 10 : 0
+    };
+  });
+}
+
+// ===========================================
+// HEAD-TO-HEAD
+// ===========================================
+
+// How a player has done with and against everyone they've played with,
+// from the winners/losers lists of decided matches (draws are skipped).
+// Returns Map(otherId -> { odiscordId, username, with, against }), where
+// with/against are { games, wins, eloChange } from the player's point of
+// view (eloChange sums their own ELO change in those matches).
+function getPlayerRelations(odiscordId) {
+  const relations = new Map();
+  const relationOf = (other) => {
+    if (!relations.has(other.odiscordId)) {
+      relations.set(other.odiscordId, {
+        odiscordId: other.odiscordId,
+        username: other.username,
+        with: { games: 0, wins: 0, eloChange: 0 },
+        against: { games: 0, wins: 0, eloChange: 0 }
+      });
+    }
+    return relations.get(other.odiscordId);
+  };
+
+  for (const match of queryMatches({ playerId: odiscordId, limit: Infinity }).matches) {
+    if (match.isDraw || !match.winners?.length || !match.losers?.length) continue;
+
+    const won = match.winners.some(p => p.odiscordId === odiscordId);
+    const self = (won ? match.winners : match.losers).find(p => p.odiscordId === odiscordId);
+    if (!self) continue;
+
+    const [team, opponents] = won ? [match.winners, match.losers] : [match.losers, match.winners];
+    for (const [list, key] of [[team, 'with'], [opponents, 'against']]) {
+      for (const other of list) {
+        if (other.odiscordId === odiscordId) continue;
+        const stats = relationOf(other)[key];
+        stats.games++;
+        stats.wins += won ? 1 : 0;
+        stats.eloChange += self.change || 0;
+      }
+    }
+  }
+  return relations;
+}
+
+function summarizeRelation(relation, key) {
+  const { games, wins, eloChange } = relation[key];
+  return {
+    odiscordId: relation.odiscordId,
+    username: storage.get('players', relation.odiscordId)?.username || relation.username,
+    games,
+    wins,
+    losses: games - wins,
+    winRate: games > 0 ? Math.round(wins / games * 1000) / 10 : 0,
+    eloChange
+  };
+}
+
+const RELATION_SORTS = {
+  games: (a, b) => b.games - a.games || b.winRate - a.winRate,
+  winRate: (a, b) => b.winRate - a.winRate || b.games - a.games,
+  lossRate: (a, b) => a.winRate - b.winRate || b.games - a.games,
+  eloChange: (a, b) => b.eloChange - a.eloChange,
+  eloLost: (a, b) => a.eloChange - b.eloChange
+};
+
+// Opponents ('against') or teammates ('with') of a player with at least
+// minGames games, sorted by a RELATION_SORTS key
+function getRelationList(odiscordId, key, { minGames = 1, sort = 'games', limit = 20 } = {}) {
+  const compare = RELATION_SORTS[sort];
+  if (!compare) {
+    throw new Error(`sort must be one of ${Object.keys(RELATION_SORTS).join(', ')}`);
+  }
+
+  return [...getPlayerRelations(odiscordId).values()]
+    .filter(relation => relation[key].games >= minGames)
+    .map(relation => summarizeRelation(relation, key))
+    .sort(compare)
+    .slice(0, limit);
+}
+
+function getRivals(odiscordId, options) {
+  return getRelationList(odiscordId, 'against', options);
+}
+
+function getTeammates(odiscordId, options) {
+  return getRelationList(odiscordId, 'with', options);
+}
+
+// Record of playerId against (and alongside) otherId, from playerId's side
+function getHeadToHead(playerId, otherId) {
+  const relation = getPlayerRelations(playerId).get(otherId)
+    || { odiscordId: otherId, with: { games: 0, wins: 0, eloChange: 0 }, against: { games: 0, wins: 0, eloChange: 0 } };
+  return {
+    against: summarizeRelation(relation, 'against'),
+    with: summarizeRelation(relation, 'with')
+  };
+}
+
+// ===========================================
+// CLASSES
+// ===========================================
+
+const CLASS_NAMES = Object.values(CONFIG.CLASSES);
+
+// The class a player has played most (wins break ties), or null
+function getMainClass(player) {
+  let main = null;
+  for (const name of CLASS_NAMES) {
+    const stats = player.classStats?.[name];
+    if (!stats?.gamesPlayed) continue;
+    const best = main && player.classStats[main];
+    if (!best || stats.gamesPlayed > best.gamesPlayed || (stats.gamesPlayed === best.gamesPlayed && stats.wins > best.wins)) {
+      main = name;
+    }
+  }
+  return main;
+}
+
+// Per-class mastery for one player: games, win rate, KDR, share of their
+// class games, and the highest CLASS_MASTERY level reached
+function getClassMastery(player) {
+  const totalGames = CLASS_NAMES.reduce((sum, name) => sum + (player.classStats?.[name]?.gamesPlayed || 0), 0);
+
+  return CLASS_NAMES.map(name => {
+    const stats = player.classStats?.[name] || {};
+    const gamesPlayed = stats.gamesPlayed || 0;
+    const level = CONFIG.CLASS_MASTERY.filter(l => gamesPlayed >= l.games).pop();
+    const next = CONFIG.CLASS_MASTERY.find(l => gamesPlayed < l.games) || null;
+
+    return {
+      class: name,
+      gamesPlayed,
+      wins: stats.wins || 0,
+      winRate: gamesPlayed > 0 ? Math.round((stats.wins || 0) / gamesPlayed * 1000) / 10 : 0,
+      kdr: stats.deaths > 0 ? (stats.kills / stats.deaths).toFixed(2) : (stats.kills || 0).toFixed(2),
+      share: totalGames > 0 ? Math.round(gamesPlayed / totalGames * 1000) / 10 : 0,
+      mastery: level.name,
+      nextMastery: next ? { name: next.name, gamesNeeded: next.games - gamesPlayed } : null
+    };
+  });
+}
+
+// Global class summary: pick rate, win rate and per-game averages for each
+// class, overall and broken down by rank tier. Tiers are the players'
+// current ones, since classStats aren't kept per match.
+function getClassSummary() {
+  const empty = () => ({ gamesPlayed: 0, wins: 0, kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, players: 0 });
+  const totals = Object.fromEntries(CLASS_NAMES.map(name => [name, { ...empty(), byRank: {} }]));
+
+  for (const player of storage.values('players')) {
+    const tier = getRank(player.elo);
+    for (const name of CLASS_NAMES) {
+      const stats = player.classStats?.[name];
+      if (!stats?.gamesPlayed) continue;
+
+      const total = totals[name];
+      const byRank = total.byRank[tier] || (total.byRank[tier] = empty());
+      for (const bucket of [total, byRank]) {
+        for (const field of ['gamesPlayed', 'wins', 'kills', 'deaths', 'assists', 'damage', 'healing']) {
+          bucket[field] += stats[field] || 0;
+        }
+        bucket.players++;
+      }
+    }
+  }
+
+  const allGames = CLASS_NAMES.reduce((sum, name) => sum + totals[name].gamesPlayed, 0);
+  const summarize = (t, pickGames) => ({
+    players: t.players,
+    gamesPlayed: t.gamesPlayed,
+    pickRate: pickGames > 0 ? Math.round(t.gamesPlayed / pickGames * 1000) / 10 : 0,
+    winRate: t.gamesPlayed > 0 ? Math.round(t.wins / t.gamesPlayed * 1000) / 10 : 0,
+    perGame: Object.fromEntries(['kills', 'deaths', 'assists', 'damage', 'healing']
+      .map(field => [field, t.gamesPlayed > 0 ? Math.round(t[field] / t.gamesPlayed * 10) / 10 : 0]))
+  });
+
+  return CLASS_NAMES.map(name => {
+    const total = totals[name];
+    const byRank = {};
+    for (const tier of Object.keys(CONFIG.RANKS)) {
+      // Pick rate within a tier is relative to every class game in that tier
+      const tierGames = CLASS_NAMES.reduce((sum, n) => sum + (totals[n].byRank[tier]?.gamesPlayed || 0), 0);
+      byRank[tier] = summarize(total.byRank[tier] || empty(), tierGames);
+    }
+    return { class: name, ...summarize(total, allGames), byRank };
+  });
+}
+
+// ===========================================
+// MAPS
+// ===========================================
+
+// Per-map record from saved matches. Of the matches that had maps (a veto
+// or a fixed pool), pickRate is how often the map made it into the match
+// and banRate how often it was banned; rounds/matches count where it was
+// actually played (rounds a host declared without playing are skipped).
+// With playerId, only that player's matches, plus their round win rate.
+function getMapStats({ playerId } = {}) {
+  const stats = new Map();
+  const statsOf = (map) => {
+    if (!stats.has(map)) {
+      stats.set(map, { map, matches: 0, rounds: 0, picks: 0, bans: 0, playerRounds: 0, wins: 0 });
+    }
+    return stats.get(map);
+  };
+  // Maps in the pool are listed even if they haven't been played yet
+  CONFIG.MAPS.POOL.forEach(statsOf);
+
+  let mapMatches = 0;
+  const matches = playerId ? queryMatches({ playerId, limit: Infinity }).matches : getAllMatches();
+  for (const match of matches) {
+    if (!match.maps?.length) continue;
+    mapMatches++;
+
+    for (const map of match.maps) statsOf(map).picks++;
+    for (const ban of match.mapBans || []) statsOf(ban.map).bans++;
+
+    // The player's side: the match winner's if they won, else the other.
+    // Unknown for draws, which then don't count towards their win rate.
+    let side = null;
+    if (playerId && (match.winner === 'team1' || match.winner === 'team2')) {
+      const won = (match.winners || []).some(p => p.odiscordId === playerId);
+      side = won ? match.winner : (match.winner === 'team1' ? 'team2' : 'team1');
+    }
+
+    const played = new Set();
+    for (const round of match.rounds || []) {
+      if (!round.map || round.declared) continue;
+      const entry = statsOf(round.map);
+      entry.rounds++;
+      if (side) {
+        entry.playerRounds++;
+        if (round.winner === side) entry.wins++;
+      }
+      played.add(round.map);
+    }
+    for (const map of played) statsOf(map).matches++;
+  }
+
+  const rate = (count, total) => (total > 0 ? Math.round(count / total * 1000) / 10 : 0);
+  return [...stats.values()].map(({ playerRounds, wins, ...entry }) => ({
+    ...entry,
+    pickRate: rate(entry.picks, mapMatches),
+    banRate: rate(entry.bans, mapMatches),
+    ...(playerId && { wins, losses: playerRounds - wins, winRate: rate(wins, playerRounds) })
+  }));
 }
 
 module.exports = {
+  transaction,
+  close,
+  getSchemaVersion: () => getSchemaVersion(storage),
+  validateMigrationData,
+  migrateFromJSON,
+  persistentMap,
+  persistentSet,
+  getSavedLobbies,
+  saveLobbies,
+  clearStaleSessions,
   getLeaderboard,
+  queryLeaderboard,
+  getMainClass,
+  getClassMastery,
+  getClassSummary,
+  getMapStats,
+  getRivals,
+  getTeammates,
+  getHeadToHead,
+  unlockAchievements,
+  getPlayerAchievements,
+  getAchievementStats,
   getPlayer,
   getOrCreatePlayer,
   updatePlayer,
   getAllPlayers,
   processMatchResult,
+  getClassNorms,
+  replayRatings,
   getRank,
+  recordEloChange,
+  getEloHistory,
+  clearEloHistory,
   setUserSession,
   getUserSession,
   clearUserSession,
   clearLobbySession,
   getPlayerMatches,
   getRecentMatches,
+  getAllMatches,
+  getMatch,
+  queryMatches,
+  logAudit,
+  getCurrentSeason,
+  getSeasons,
+  getSeason,
+  getSeasonLeaderboard,
+  getPlayerSeasons,
+  closeSeason,
+  getNextDecayAt,
+  applyRankDecay,
+  queryAuditLog,
   saveMatch,
   clearAllMatches,
   linkMinecraft,
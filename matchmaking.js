@@ -0,0 +1,67 @@
+const CONFIG = require('./config');
+
+// ===========================================
+// MATCHMAKING
+// ===========================================
+// Pure grouping logic for the ranked queue; server.js owns the queue state,
+// ready checks and lobby creation. The queue is made of parties:
+//   { id, players: [{ odiscordId, username, avatar, elo }], elo, joinedAt }
+// where elo is the party's average and a party is one player (solo) or
+// two (duo). Parties are never split across matches.
+
+// ELO distance a party will accept, widening the longer it has waited
+function searchWindow(party, now = Date.now()) {
+  const { BASE_WINDOW, WINDOW_GROWTH_PER_MINUTE, MAX_WINDOW } = CONFIG.QUEUE;
+  const minutes = (now - party.joinedAt) / 60000;
+  return Math.min(MAX_WINDOW, Math.round(BASE_WINDOW + minutes * WINDOW_GROWTH_PER_MINUTE));
+}
+
+// Try to fill one match of `size` players. Parties are tried as anchors in
+// the order they joined; each anchor takes the closest parties (by ELO)
+// that are inside both its own and their search window. Returns the
+// parties making up the match, or null if no match can be made yet.
+function findMatch(parties, size = CONFIG.QUEUE.LOBBY_SIZE, now = Date.now()) {
+  const byAge = [...parties].sort((a, b) => a.joinedAt - b.joinedAt);
+
+  for (const anchor of byAge) {
+    const window = searchWindow(anchor, now);
+    const candidates = parties
+      .filter(p => p !== anchor)
+      .map(p => ({ party: p, distance: Math.abs(p.elo - anchor.elo) }))
+      .filter(({ party, distance }) => distance <= window && distance <= searchWindow(party, now))
+      .sort((a, b) => a.distance - b.distance || a.party.joinedAt - b.party.joinedAt);
+
+    const group = [anchor];
+    let count = anchor.players.length;
+    for (const { party } of candidates) {
+      if (count === size) break;
+      if (count + party.players.length > size) continue;
+      group.push(party);
+      count += party.players.length;
+    }
+
+    if (count === size) return group;
+  }
+
+  return null;
+}
+
+// Rough wait estimate (ms) for a party: the average wait of recent matches
+// whose players were near its ELO, or of all recent matches if none were.
+// recentWaits: [{ elo, wait }]. Returns null with no history.
+function estimateWait(party, recentWaits, now = Date.now()) {
+  if (recentWaits.length === 0) return null;
+
+  const nearby = recentWaits.filter(w => Math.abs(w.elo - party.elo) <= CONFIG.QUEUE.BASE_WINDOW * 2);
+  const sample = nearby.length > 0 ? nearby : recentWaits;
+  const average = sample.reduce((sum, w) => sum + w.wait, 0) / sample.length;
+
+  // Time already spent counts towards the estimate
+  return Math.max(0, Math.round(average - (now - party.joinedAt)));
+}
+
+module.exports = {
+  searchWindow,
+  findMatch,
+  estimateWait
+};
@@ -0,0 +1,280 @@
+const CONFIG = require('./config');
+
+// ===========================================
+// SCHEMA MIGRATIONS
+// ===========================================
+// Each migration upgrades stored records from the previous schema version.
+// They run in order on startup and after every JSON import. Imported data
+// goes through all of them again, so each one must only touch records that
+// still need it.
+
+const CLASS_NAMES = Object.values(CONFIG.CLASSES);
+
+// Same thresholds as database.getRank (which can't be required from here)
+function getRank(elo) {
+  const tiers = Object.entries(CONFIG.RANKS).sort((a, b) => b[1] - a[1]);
+  return (tiers.find(([, threshold]) => elo >= threshold) || tiers[tiers.length - 1])[0];
+}
+
+function emptyClassStats() {
+  return { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 };
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Ensure classStats exists for older players',
+    up(storage) {
+      for (const player of storage.values('players')) {
+        const classStats = player.classStats || {};
+        const missing = CLASS_NAMES.filter(name => !classStats[name]);
+        if (player.classStats && missing.length === 0) continue;
+
+        for (const name of missing) {
+          classStats[name] = emptyClassStats();
+        }
+        storage.set('players', player.odiscordId, { ...player, classStats });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Fill in missing ELO and stat counters',
+    up(storage) {
+      const counters = ['wins', 'losses', 'gamesPlayed', 'totalKills', 'totalDeaths', 'totalAssists', 'totalDamage', 'totalHealing'];
+
+      for (const player of storage.values('players')) {
+        let changed = false;
+
+        if (typeof player.elo !== 'number') {
+          player.elo = parseInt(player.elo) || CONFIG.STARTING_ELO;
+          changed = true;
+        }
+        for (const field of counters) {
+          if (typeof player[field] !== 'number') {
+            player[field] = parseInt(player[field]) || 0;
+            changed = true;
+          }
+        }
+        if (!player.createdAt) {
+          player.createdAt = Date.now();
+          changed = true;
+        }
+
+        if (changed) storage.set('players', player.odiscordId, player);
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Drop derived fields saved onto player records',
+    up(storage) {
+      for (const player of storage.values('players')) {
+        // rank and kdr are computed on read; Minecraft info comes from links
+        const hasLink = storage.has('links', player.odiscordId);
+        const stale = ['rank', 'kdr', 'minecraftUuid', 'recentMatches', 'hasPurgeImmunity']
+          .concat(hasLink ? ['minecraftUsername'] : [])
+          .filter(field => field in player);
+        if (stale.length === 0) continue;
+
+        for (const field of stale) {
+          delete player[field];
+        }
+        storage.set('players', player.odiscordId, player);
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Backfill match timestamps from match IDs',
+    up(storage) {
+      for (const match of storage.values('matches')) {
+        if (typeof match.timestamp === 'number') continue;
+
+        // IDs are M<timestamp>, optionally with a -<n> suffix
+        const fromId = parseInt(String(match.id).replace(/^M/, ''));
+        const fromDate = match.date ? Date.parse(match.date) : NaN;
+        match.timestamp = Number.isFinite(fromDate) ? fromDate : (fromId || 0);
+        match.date = match.date || new Date(match.timestamp).toISOString();
+        storage.set('matches', match.id, match);
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Start season 1 and tag existing matches and players with it',
+    up(storage) {
+      const seasons = storage.values('seasons');
+      let current = seasons.find(season => !season.endedAt);
+
+      if (!current) {
+        const first = storage.values('matches').reduce((min, m) => Math.min(min, m.timestamp || Infinity), Date.now());
+        current = {
+          id: seasons.reduce((max, season) => Math.max(max, season.id), 0) + 1,
+          name: `Season ${seasons.length + 1}`,
+          startedAt: first,
+          endedAt: null
+        };
+        storage.set('seasons', current.id, current);
+      }
+
+      for (const match of storage.values('matches')) {
+        if (match.seasonId) continue;
+        storage.set('matches', match.id, { ...match, seasonId: current.id });
+      }
+
+      // Everything played so far counts towards the current season
+      for (const player of storage.values('players')) {
+        if (player.seasonStats) continue;
+        storage.set('players', player.odiscordId, {
+          ...player,
+          seasonStats: { seasonId: current.id, wins: player.wins || 0, losses: player.losses || 0, gamesPlayed: player.gamesPlayed || 0 }
+        });
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Give players a rating deviation and volatility',
+    up(storage) {
+      for (const player of storage.values('players')) {
+        if (typeof player.ratingDeviation === 'number' && typeof player.volatility === 'number') continue;
+        storage.set('players', player.odiscordId, {
+          ...player,
+          ratingDeviation: player.ratingDeviation ?? CONFIG.GLICKO.INITIAL_RD,
+          volatility: player.volatility ?? CONFIG.GLICKO.INITIAL_VOLATILITY
+        });
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Start the rank decay clock for players with ranked matches',
+    up(storage) {
+      // The clock starts now rather than at their last match: counting from
+      // old matches would decay everyone who's been away the moment decay
+      // is switched on, with no warning first
+      const now = Date.now();
+      const played = new Set();
+      for (const match of storage.values('matches')) {
+        if (match.isRanked === false) continue;
+        for (const p of [...(match.team1 || match.winners || []), ...(match.team2 || match.losers || [])]) {
+          if (p?.odiscordId) played.add(p.odiscordId);
+        }
+      }
+
+      for (const player of storage.values('players')) {
+        if (!played.has(player.odiscordId) || player.lastRankedMatchAt) continue;
+        storage.set('players', player.odiscordId, { ...player, lastRankedMatchAt: now });
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Build ELO history from saved matches and record peak ELO',
+    up(storage) {
+      const histories = new Map();
+      const matches = storage.values('matches').sort((a, b) => a.timestamp - b.timestamp);
+      for (const match of matches) {
+        for (const p of [...(match.winners || []), ...(match.losers || [])]) {
+          if (!p?.odiscordId || typeof p.newElo !== 'number' || p.newElo === p.oldElo) continue;
+          // Players who already have a history were migrated before
+          if (storage.has('eloHistory', p.odiscordId)) continue;
+
+          if (!histories.has(p.odiscordId)) histories.set(p.odiscordId, []);
+          histories.get(p.odiscordId).push({
+            timestamp: match.timestamp,
+            elo: p.newElo,
+            change: p.newElo - p.oldElo,
+            reason: 'match',
+            details: { lobbyId: match.lobbyId || null, matchId: match.id }
+          });
+        }
+      }
+      for (const [odiscordId, history] of histories) {
+        storage.set('eloHistory', odiscordId, history.slice(-CONFIG.ELO_HISTORY_LIMIT));
+      }
+
+      for (const player of storage.values('players')) {
+        if (typeof player.peakElo === 'number') continue;
+
+        const peak = (storage.get('eloHistory', player.odiscordId) || [])
+          .reduce((best, point) => (point.elo > best.elo ? point : best), { elo: player.elo, timestamp: null });
+        storage.set('players', player.odiscordId, {
+          ...player,
+          peakElo: peak.elo,
+          peakRank: getRank(peak.elo),
+          peakAt: peak.timestamp
+        });
+      }
+    }
+  },
+  {
+    version: 9,
+    description: 'Work out win/loss streaks from match history',
+    up(storage) {
+      const streaks = new Map();
+      const matches = storage.values('matches')
+        .filter(m => m.isRanked !== false && !m.isDraw)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      for (const match of matches) {
+        for (const [list, won] of [[match.winners || [], true], [match.losers || [], false]]) {
+          for (const p of list) {
+            if (!p?.odiscordId) continue;
+            const s = streaks.get(p.odiscordId) || { current: 0, longestWin: 0, longestLoss: 0 };
+            s.current = won ? Math.max(s.current, 0) + 1 : Math.min(s.current, 0) - 1;
+            s.longestWin = Math.max(s.longestWin, s.current);
+            s.longestLoss = Math.max(s.longestLoss, -s.current);
+            streaks.set(p.odiscordId, s);
+          }
+        }
+      }
+
+      for (const player of storage.values('players')) {
+        if (typeof player.currentStreak === 'number') continue;
+        const s = streaks.get(player.odiscordId) || { current: 0, longestWin: 0, longestLoss: 0 };
+        storage.set('players', player.odiscordId, {
+          ...player,
+          currentStreak: s.current,
+          longestWinStreak: s.longestWin,
+          longestLossStreak: s.longestLoss
+        });
+      }
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(storage) {
+  return storage.get('meta', 'schemaVersion')?.version || 0;
+}
+
+// Apply every migration newer than the stored schema version. Each one
+// commits in its own transaction along with the version bump.
+function runMigrations(storage, { fromVersion = getSchemaVersion(storage) } = {}) {
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+
+    storage.transaction(() => {
+      migration.up(storage);
+      storage.set('meta', 'schemaVersion', { version: migration.version, migratedAt: Date.now() });
+    });
+
+    applied.push(migration.version);
+    console.log(`Applied migration ${migration.version}: ${migration.description}`);
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  getSchemaVersion,
+  runMigrations,
+  emptyClassStats
+};
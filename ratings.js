@@ -0,0 +1,245 @@
+const CONFIG = require('./config');
+
+// ===========================================
+// RATING ENGINES
+// ===========================================
+// rateMatch(winners, losers) takes player records ({ odiscordId, elo,
+// ratingDeviation, volatility, gamesPlayed }) and returns the new rating of
+// every player. CONFIG.RATING_ENGINE picks the engine:
+//   'elo'     - team-average ELO, everyone on a team moves by the same amount
+//   'glicko2' - Glicko-2 per player, so uncertain (new) ratings move further
+
+function isProvisional(player) {
+  return (player.gamesPlayed || 0) < CONFIG.PLACEMENT_GAMES;
+}
+
+// ===========================================
+// ELO (Team Average Based)
+// ===========================================
+
+function calculateTeamAverageElo(team) {
+  if (team.length === 0) return CONFIG.STARTING_ELO;
+  const totalElo = team.reduce((sum, p) => sum + (p.elo || CONFIG.STARTING_ELO), 0);
+  return totalElo / team.length;
+}
+
+function calculateEloChange(winnerAvgElo, loserAvgElo) {
+  // Base ELO pool is 50 (winners gain, losers lose)
+  const BASE_ELO = 50;
+
+  // Calculate expected score based on ELO difference
+  const eloDiff = loserAvgElo - winnerAvgElo;
+  const expectedWinner = 1 / (1 + Math.pow(10, eloDiff / 400));
+
+  // Calculate ELO change (more for upsets, less for expected wins)
+  // Range: ~20 (heavy favorite wins) to ~30 (underdog wins)
+  const eloChange = Math.round(BASE_ELO * (1 - expectedWinner + 0.5) / 1.5);
+
+  // Clamp between 20 and 30
+  return Math.max(20, Math.min(30, eloChange));
+}
+
+// Placement games count for more, so new players reach their level sooner
+function placementScale(player, change) {
+  return isProvisional(player) ? Math.round(change * CONFIG.PLACEMENT_MULTIPLIER) : change;
+}
+
+function rateEloMatch(winners, losers) {
+  const winnerAvgElo = calculateTeamAverageElo(winners);
+  const loserAvgElo = calculateTeamAverageElo(losers);
+
+  const eloGain = calculateEloChange(winnerAvgElo, loserAvgElo);
+  const eloLoss = 50 - eloGain; // Total pool is 50
+
+  return {
+    winnerAvgElo,
+    loserAvgElo,
+    eloGain,
+    eloLoss,
+    winners: winners.map(p => ({ odiscordId: p.odiscordId, elo: p.elo + placementScale(p, eloGain) })),
+    // Don't go below 0
+    losers: losers.map(p => ({ odiscordId: p.odiscordId, elo: Math.max(0, p.elo - placementScale(p, eloLoss)) }))
+  };
+}
+
+// ===========================================
+// GLICKO-2
+// ===========================================
+// Each player is rated against the opposing team as one composite opponent
+// (mean rating, root-mean-square deviation), one rating period per match.
+// Ratings are centred on STARTING_ELO instead of Glicko's usual 1500.
+
+const GLICKO_SCALE = 173.7178;
+
+function toGlicko(player) {
+  return {
+    mu: ((player.elo ?? CONFIG.STARTING_ELO) - CONFIG.STARTING_ELO) / GLICKO_SCALE,
+    phi: (player.ratingDeviation ?? CONFIG.GLICKO.INITIAL_RD) / GLICKO_SCALE,
+    sigma: player.volatility ?? CONFIG.GLICKO.INITIAL_VOLATILITY
+  };
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+// New volatility (step 5 of the Glicko-2 paper, Illinois algorithm)
+function updateVolatility(phi, sigma, delta, v) {
+  const tau = CONFIG.GLICKO.TAU;
+  const epsilon = 0.000001;
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    return ex * (delta * delta - phi * phi - v - ex) / (2 * Math.pow(phi * phi + v + ex, 2)) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > epsilon) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+// Rate one player against a composite opponent. score: 1 win, 0 loss.
+function rateGlickoPlayer(player, opponent, score) {
+  const { mu, phi, sigma } = toGlicko(player);
+
+  const gPhi = g(opponent.phi);
+  const expected = 1 / (1 + Math.exp(-gPhi * (mu - opponent.mu)));
+  const v = 1 / (gPhi * gPhi * expected * (1 - expected));
+  const delta = v * gPhi * (score - expected);
+
+  const newSigma = updateVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * gPhi * (score - expected);
+
+  const rd = Math.min(CONFIG.GLICKO.INITIAL_RD, Math.max(CONFIG.GLICKO.MIN_RD, newPhi * GLICKO_SCALE));
+
+  return {
+    odiscordId: player.odiscordId,
+    elo: Math.max(0, Math.round(newMu * GLICKO_SCALE + CONFIG.STARTING_ELO)),
+    ratingDeviation: Math.round(rd * 100) / 100,
+    volatility: newSigma
+  };
+}
+
+function compositeOpponent(team) {
+  const ratings = team.map(toGlicko);
+  return {
+    mu: ratings.reduce((sum, r) => sum + r.mu, 0) / ratings.length,
+    phi: Math.sqrt(ratings.reduce((sum, r) => sum + r.phi * r.phi, 0) / ratings.length)
+  };
+}
+
+function rateGlickoMatch(winners, losers) {
+  const winnerAvgElo = calculateTeamAverageElo(winners);
+  const loserAvgElo = calculateTeamAverageElo(losers);
+
+  if (winners.length === 0 || losers.length === 0) {
+    return { winnerAvgElo, loserAvgElo, eloGain: 0, eloLoss: 0, winners: [], losers: [] };
+  }
+
+  const vsLosers = compositeOpponent(losers);
+  const vsWinners = compositeOpponent(winners);
+  const newWinners = winners.map(p => rateGlickoPlayer(p, vsLosers, 1));
+  const newLosers = losers.map(p => rateGlickoPlayer(p, vsWinners, 0));
+
+  // Team-level figures are averages, since every player moves differently
+  const average = (list, old) => Math.round(list.reduce((sum, p, i) => sum + Math.abs(p.elo - old[i].elo), 0) / list.length);
+
+  return {
+    winnerAvgElo,
+    loserAvgElo,
+    eloGain: average(newWinners, winners),
+    eloLoss: average(newLosers, losers),
+    winners: newWinners,
+    losers: newLosers
+  };
+}
+
+// ===========================================
+// PERFORMANCE WEIGHTING
+// ===========================================
+// Compares a player's match stats with the per-game average for their class
+// (norm: { gamesPlayed, kills, deaths, ... }). Returns
+// { modifier, breakdown } with modifier in [-MAX_MODIFIER, MAX_MODIFIER],
+// or null when there's nothing fair to compare against.
+
+function performanceModifier(stats, className, norm) {
+  const weights = CONFIG.PERFORMANCE.WEIGHTS[className];
+  if (!stats || !weights || !norm || norm.gamesPlayed < CONFIG.PERFORMANCE.MIN_CLASS_GAMES) {
+    return null;
+  }
+
+  const breakdown = {};
+  let score = 0;
+  let totalWeight = 0;
+  for (const [stat, weight] of Object.entries(weights)) {
+    const value = stats[stat] || 0;
+    const average = norm[stat] || 0;
+    // Each stat counts from -1 (nothing) to +1 (double the class average)
+    const relative = average > 0 ? Math.max(-1, Math.min(1, value / average - 1)) : 0;
+
+    score += weight * relative;
+    totalWeight += Math.abs(weight);
+    breakdown[stat] = { value, classAverage: Math.round(average * 10) / 10, weight };
+  }
+
+  const modifier = totalWeight > 0 ? (score / totalWeight) * CONFIG.PERFORMANCE.MAX_MODIFIER : 0;
+  return { modifier: Math.round(modifier * 1000) / 1000, breakdown };
+}
+
+// Scale a rating change by a performance modifier. Good games grow a gain
+// and shrink a loss; the sign of the change never flips.
+function applyPerformance(change, modifier) {
+  return Math.round(change * (1 + (change >= 0 ? modifier : -modifier)));
+}
+
+// ===========================================
+// ENGINE SELECTION
+// ===========================================
+
+const ENGINES = {
+  elo: rateEloMatch,
+  glicko2: rateGlickoMatch
+};
+
+function rateMatch(winners, losers, engine = CONFIG.RATING_ENGINE) {
+  const rate = ENGINES[engine];
+  if (!rate) {
+    throw new Error(`Unknown RATING_ENGINE "${engine}" (expected ${Object.keys(ENGINES).join(' or ')})`);
+  }
+  return rate(winners, losers);
+}
+
+module.exports = {
+  ENGINES,
+  rateMatch,
+  isProvisional,
+  performanceModifier,
+  applyPerformance,
+  calculateTeamAverageElo,
+  calculateEloChange
+};
@@ -0,0 +1,40 @@
+// Recompute every player's rating from match history.
+//
+//   npm run replay-ratings -- [engine] [--dry-run]
+//
+// engine defaults to RATING_ENGINE. Stop the server first: it keeps its own
+// copy of the data in memory and would overwrite the replayed ratings.
+
+const db = require('../database');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const engine = args.find(arg => !arg.startsWith('--'));
+
+try {
+  const changes = db.transaction(() => {
+    const changes = db.replayRatings({ engine, dryRun });
+    if (!dryRun) {
+      db.logAudit('replay-ratings', {
+        actor: { type: 'cli', id: 'replay-ratings', name: 'replay-ratings script' },
+        details: { engine: engine || 'default', players: changes.length, changed: changes.filter(c => c.oldElo !== c.newElo).length }
+      });
+    }
+    return changes;
+  });
+
+  const moved = changes
+    .filter(c => c.oldElo !== c.newElo)
+    .sort((a, b) => Math.abs(b.newElo - b.oldElo) - Math.abs(a.newElo - a.oldElo));
+
+  for (const c of moved) {
+    const diff = c.newElo - c.oldElo;
+    console.log(`${c.username || c.odiscordId}: ${c.oldElo} -> ${c.newElo} (${diff > 0 ? '+' : ''}${diff})`);
+  }
+  console.log(`${moved.length} of ${changes.length} players changed${dryRun ? ' (dry run, nothing saved)' : ''}`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
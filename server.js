@@ -7,6 +7,10 @@ const { Client, GatewayIntentBits, EmbedBuilder, ChannelType, PermissionFlagsBit
 const Jimp = require('jimp');
 const CONFIG = require('./config');
 const db = require('./database');
+const auth = require('./auth');
+const { evaluateAchievements } = require('./achievements');
+const { searchWindow, findMatch, estimateWait } = require('./matchmaking');
+const { balanceTeams } = require('./teams');
 
 // ===========================================
 // EXPRESS SERVER
@@ -17,9 +21,17 @@ const server = http.createServer(app);
 
 app.use(cors({
   origin: CONFIG.FRONTEND_URL,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Next-Cursor']
 }));
-app.use(express.json());
+// Default body limit everywhere except the import routes, which parse their
+// own (large) bodies with largeJsonParser after checking permissions
+const MIGRATE_PATH = '/api/admin/migrate';
+const IMPORT_CSV_PATH = '/api/admin/import-csv';
+const LARGE_BODY_PATHS = new Set([MIGRATE_PATH, IMPORT_CSV_PATH]);
+const jsonParser = express.json();
+const largeJsonParser = express.json({ limit: '50mb' });
+app.use((req, res, next) => (LARGE_BODY_PATHS.has(req.path) ? next() : jsonParser(req, res, next)));
 
 // ===========================================
 // SOCKET.IO
@@ -32,6 +44,9 @@ const io = new Server(server, {
   }
 });
 
+// Identity comes from the session token in the handshake, never from event payloads
+io.use(auth.socketAuth);
+
 // ===========================================
 // DISCORD BOT
 // ===========================================
@@ -79,6 +94,12 @@ discordClient.once('ready', async () => {
             description: 'The new ELO value',
             type: 4, // INTEGER
             required: true
+          },
+          {
+            name: 'reason',
+            description: 'Why the ELO is being changed',
+            type: 3, // STRING
+            required: false
           }
         ]
       });
@@ -125,22 +146,66 @@ discordClient.once('ready', async () => {
         options: []
       });
       
+      await guild.commands.create({
+        name: 'auditlog',
+        description: 'Show recent moderation and admin actions (moderator only)',
+        options: [
+          {
+            name: 'user',
+            description: 'Only show actions on this user',
+            type: 6, // USER
+            required: false
+          },
+          {
+            name: 'action',
+            description: 'Only show this action (e.g. setelo, timeout)',
+            type: 3, // STRING
+            required: false
+          },
+          {
+            name: 'limit',
+            description: 'How many entries to show (max 20)',
+            type: 4, // INTEGER
+            required: false
+          }
+        ]
+      });
+      
+      await guild.commands.create({
+        name: 'h2h',
+        description: 'Head-to-head record between two players',
+        options: [
+          {
+            name: 'user',
+            description: 'The player to compare against',
+            type: 6, // USER
+            required: true
+          },
+          {
+            name: 'other',
+            description: 'Compare this player instead of yourself',
+            type: 6, // USER
+            required: false
+          }
+        ]
+      });
+      
       console.log('Slash commands registered');
     }
   } catch (e) {
     console.error('Error registering slash commands:', e);
   }
+  
+  await reattachLobbyVoiceChannels();
+  await runRankDecay();
 });
 
-// Moderator role ID
-const MODERATOR_ROLE_ID = '1468766786416676971';
-
 // Handle slash commands
 discordClient.on('interactionCreate', async (interaction) => {
   if (!interaction.isChatInputCommand()) return;
   
   // Check if user has moderator role
-  const isModerator = interaction.member?.roles?.cache?.has(MODERATOR_ROLE_ID);
+  const isModerator = interaction.member?.roles?.cache?.has(CONFIG.MODERATOR_ROLE_ID);
   
   if (interaction.commandName === 'closelobby') {
     const code = interaction.options.getString('code').toUpperCase();
@@ -161,6 +226,11 @@ discordClient.on('interactionCreate', async (interaction) => {
     
     const closedBy = isModerator && lobby.host.odiscordId !== odiscordId ? 'a moderator' : 'the host';
     
+    db.logAudit('closelobby', {
+      actor: discordActor(interaction.user),
+      details: { lobbyId: code, phase: lobby.phase, players: lobby.players.map(p => p.odiscordId) }
+    });
+    
     // Close the lobby
     io.to(code).emit('lobbyClosed', { reason: `Lobby closed by ${closedBy} via Discord` });
     await deleteLobby(code);
@@ -178,6 +248,7 @@ discordClient.on('interactionCreate', async (interaction) => {
     
     const targetUser = interaction.options.getUser('user');
     const newElo = interaction.options.getInteger('elo');
+    const reason = interaction.options.getString('reason');
     
     if (newElo < 0 || newElo > 5000) {
       await interaction.reply({ content: '❌ ELO must be between 0 and 5000.', ephemeral: true });
@@ -195,14 +266,24 @@ discordClient.on('interactionCreate', async (interaction) => {
     const oldElo = player.elo;
     const oldRank = db.getRank(oldElo);
     
-    // Update ELO
-    db.updatePlayer(targetUser.id, { elo: newElo });
-    
     const newRank = db.getRank(newElo);
     
+    // Update ELO
+    const rankChange = db.transaction(() => {
+      db.updatePlayer(targetUser.id, { elo: newElo });
+      db.logAudit('setelo', {
+        actor: discordActor(interaction.user),
+        target: { id: targetUser.id, name: targetUser.username },
+        before: { elo: oldElo, rank: oldRank },
+        after: { elo: newElo, rank: newRank },
+        reason
+      });
+      return db.recordEloChange(targetUser.id, oldElo, newElo, 'admin', { by: interaction.user.id });
+    });
+    
     // Update rank role if changed
-    if (newRank !== oldRank) {
-      await updatePlayerRankRole(targetUser.id, newRank);
+    if (rankChange) {
+      await announceRankChanges([rankChange], { announce: false });
     }
     
     await interaction.reply({ 
@@ -239,17 +320,28 @@ discordClient.on('interactionCreate', async (interaction) => {
     const loserTeam = winnerTeam === 'team1' ? 'team2' : 'team1';
     const loserIds = lobby.teams[loserTeam].map(p => p.odiscordId);
     
-    const results = db.processMatchResult(winnerIds, loserIds, lobby.id);
+    const results = db.transaction(() => {
+      const results = db.processMatchResult(winnerIds, loserIds, lobby.id);
+      db.logAudit('declarewinner', {
+        actor: discordActor(interaction.user),
+        details: { lobbyId: code, winnerTeam, winners: winnerIds, losers: loserIds }
+      });
+
+      // Saved with the result so a restart doesn't put the lobby back in play
+      lobby.phase = 'finished';
+      lobby.eloResults = results;
+      snapshotLobbies();
+      return results;
+    });
     
     // Update rank roles
-    for (const player of [...results.winners, ...results.losers]) {
-      await updatePlayerRankRole(player.odiscordId, player.newRank);
-    }
+    await announceRankChanges(results.rankChanges);
+    if (lobby.isRanked) await checkAchievements(lobby, results);
     
     // Update lobby state
-    lobby.phase = 'finished';
-    lobby.score[winnerTeam] = 2;
-    lobby.score[loserTeam] = 0;
+    declareRounds(lobby, winnerTeam, lobby.serverIndex ?? null);
+    results.winner = winnerTeam;
+    Object.assign(results, matchRecord(lobby));
     
     io.to(code).emit('matchFinished', results);
     io.to(code).emit('lobbyUpdate', lobby);
@@ -301,13 +393,21 @@ discordClient.on('interactionCreate', async (interaction) => {
       team1: lobby.teams.team1,
       team2: lobby.teams.team2,
       winner: 'draw',
+      ...matchRecord(lobby),
       score: { team1: 0, team2: 0 },
       winners: [],
       losers: [],
-      isDraw: true
+      isDraw: true,
+      isRanked: !!lobby.isRanked
     };
     
-    db.saveMatch(drawResult);
+    db.transaction(() => {
+      const match = db.saveMatch(drawResult);
+      db.logAudit('draw', {
+        actor: discordActor(interaction.user),
+        details: { lobbyId: code, matchId: match.id }
+      });
+    });
     
     // Update lobby state
     lobby.phase = 'finished';
@@ -361,6 +461,11 @@ discordClient.on('interactionCreate', async (interaction) => {
     
     // Close all lobbies
     const lobbyCodes = Array.from(lobbies.keys());
+    
+    db.logAudit('closelobbies', {
+      actor: discordActor(interaction.user),
+      details: { lobbies: lobbyCodes }
+    });
     for (const code of lobbyCodes) {
       io.to(code).emit('lobbyClosed', { reason: 'All lobbies closed by moderator' });
       await deleteLobby(code);
@@ -373,8 +478,105 @@ discordClient.on('interactionCreate', async (interaction) => {
       ephemeral: true 
     });
   }
+  
+  if (interaction.commandName === 'auditlog') {
+    if (!isModerator) {
+      await interaction.reply({ content: '❌ You do not have permission to use this command.', ephemeral: true });
+      return;
+    }
+    
+    const targetUser = interaction.options.getUser('user');
+    const action = interaction.options.getString('action');
+    const limit = Math.min(Math.max(interaction.options.getInteger('limit') || 10, 1), 20);
+    
+    const { entries } = db.queryAuditLog({
+      targetId: targetUser?.id,
+      action: action?.toLowerCase(),
+      limit
+    });
+    
+    if (entries.length === 0) {
+      await interaction.reply({ content: 'No matching audit log entries.', ephemeral: true });
+      return;
+    }
+    
+    const lines = entries.map(e => {
+      const time = `<t:${Math.floor(e.timestamp / 1000)}:R>`;
+      const target = e.target ? ` → ${e.target.name || e.target.id}` : '';
+      const change = e.before || e.after ? ` (${formatAuditValue(e.before)} → ${formatAuditValue(e.after)})` : '';
+      const reason = e.reason ? ` — *${e.reason}*` : '';
+      return `${time} **${e.action}** by ${e.actor?.name || e.actor?.id}${target}${change}${reason}`;
+    });
+    
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle('📜 Audit Log')
+      .setDescription(lines.join('\n').slice(0, 4000))
+      .setTimestamp();
+    
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+  
+  if (interaction.commandName === 'h2h') {
+    const opponent = interaction.options.getUser('user');
+    const player = interaction.options.getUser('other') || interaction.user;
+    
+    if (opponent.id === player.id) {
+      await interaction.reply({ content: '❌ Pick two different players.', ephemeral: true });
+      return;
+    }
+    if (!db.getPlayer(player.id) || !db.getPlayer(opponent.id)) {
+      await interaction.reply({ content: '❌ Both players need to have played a match.', ephemeral: true });
+      return;
+    }
+    
+    const { against, with: together } = db.getHeadToHead(player.id, opponent.id);
+    const signed = (n) => `${n >= 0 ? '+' : ''}${n}`;
+    
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(`⚔️ ${player.username} vs ${opponent.username}`)
+      .addFields(
+        {
+          name: 'Against each other',
+          value: against.games > 0
+            ? `**${against.wins}W - ${against.losses}L** (${against.winRate}%)\nELO swing for ${player.username}: ${signed(against.eloChange)}`
+            : 'Never played against each other',
+          inline: true
+        },
+        {
+          name: 'On the same team',
+          value: together.games > 0
+            ? `**${together.wins}W - ${together.losses}L** (${together.winRate}%)\nELO gained together: ${signed(together.eloChange)}`
+            : 'Never played together',
+          inline: true
+        }
+      )
+      .setTimestamp();
+    
+    await interaction.reply({ embeds: [embed] });
+  }
 });
 
+// ===========================================
+// HELPER: Audit log actors
+// ===========================================
+
+function discordActor(user) {
+  return { type: 'discord', id: user.id, name: user.username };
+}
+
+function socketActor(socket) {
+  return { type: 'discord', id: socket.odiscordId, name: socket.user?.username || null };
+}
+
+// Short one-line form of an audit before/after value
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value).map(([k, v]) => `${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ');
+}
+
 // ===========================================
 // HELPER: Update player's rank role
 // ===========================================
@@ -406,6 +608,96 @@ async function updatePlayerRankRole(odiscordId, newRank) {
   }
 }
 
+// ===========================================
+// HELPER: Announce rank changes
+// ===========================================
+
+// Push rank-change events (from db.recordRankChange) to the site, swap
+// Discord rank roles and, with announce, post promotions to the rank channel
+async function announceRankChanges(rankChanges, { announce = true } = {}) {
+  for (const change of rankChanges) {
+    io.emit('rankChanged', change);
+    await updatePlayerRankRole(change.odiscordId, change.newRank);
+  }
+
+  const promotions = rankChanges.filter(change => change.direction === 'promotion');
+  if (!announce || promotions.length === 0 || !discordClient.isReady()) return;
+
+  try {
+    const channel = discordClient.channels.cache.get(CONFIG.RANK_ANNOUNCE_CHANNEL_ID);
+    if (!channel) {
+      console.log('Rank announcement channel not found');
+      return;
+    }
+
+    for (const change of promotions) {
+      const embed = new EmbedBuilder()
+        .setColor(0xf1c40f)
+        .setTitle(`🎉 Rank Up: ${change.newRank}!`)
+        .setDescription(`<@${change.odiscordId}> climbed from **${change.oldRank}** to **${change.newRank}** (${change.oldElo} → ${change.newElo} ELO)`)
+        .setTimestamp(change.timestamp)
+        .setFooter({ text: 'Counterpush Ranked' });
+
+      await channel.send({ embeds: [embed] });
+    }
+  } catch (e) {
+    console.error('Error announcing rank changes:', e);
+  }
+}
+
+// ===========================================
+// HELPER: Achievements
+// ===========================================
+
+// Check every player of a finished match against the achievement rules
+// (achievements.js), announce unlocks over the socket and grant any
+// Discord roles configured in ACHIEVEMENT_ROLES
+async function checkAchievements(lobby, results) {
+  const entries = [
+    ...results.winners.map(entry => ({ entry, won: true })),
+    ...results.losers.map(entry => ({ entry, won: false }))
+  ];
+
+  for (const { entry, won } of entries) {
+    const player = db.getPlayer(entry.odiscordId);
+    if (!player) continue;
+
+    const earned = evaluateAchievements(player, {
+      won,
+      isRanked: lobby.isRanked !== false,
+      stats: entry.stats || null,
+      className: entry.class || null,
+      streak: entry.streak ?? null,
+      survivedPurge: !!lobby.purgeSurvivors?.includes(entry.odiscordId)
+    });
+    if (earned.length === 0) continue;
+
+    const unlocked = db.unlockAchievements(entry.odiscordId, earned);
+    for (const achievement of unlocked) {
+      console.log(`[ACHIEVEMENT] ${player.username} unlocked ${achievement.id}`);
+      io.emit('achievementUnlocked', { odiscordId: entry.odiscordId, username: player.username, achievement });
+      await grantAchievementRole(entry.odiscordId, achievement.id);
+    }
+  }
+}
+
+async function grantAchievementRole(odiscordId, achievementId) {
+  const roleId = CONFIG.ACHIEVEMENT_ROLES[achievementId];
+  if (!roleId || !discordClient.isReady()) return;
+  
+  try {
+    const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
+    if (!guild) return;
+    
+    const member = await guild.members.fetch(odiscordId).catch(() => null);
+    if (!member) return;
+    
+    await member.roles.add(roleId).catch(e => console.error('Error adding achievement role:', e));
+  } catch (e) {
+    console.error('Error granting achievement role:', e);
+  }
+}
+
 // ===========================================
 // HELPER: Create Voice Channels for Lobby
 // ===========================================
@@ -711,14 +1003,15 @@ async function sendMatchResultToDiscord(lobby, results) {
       return;
     }
     
-    const winnerTeam = lobby.score.team1 >= 2 ? 'Team 1' : 'Team 2';
-    const winningTeamPlayers = lobby.score.team1 >= 2 ? lobby.teams.team1 : lobby.teams.team2;
-    const winnerColor = lobby.score.team1 >= 2 ? (lobby.team1Color || 1) : (lobby.team2Color || 5);
+    const winner = getMatchWinner(lobby);
+    const winnerTeam = winner === 'team1' ? 'Team 1' : 'Team 2';
+    const winningTeamPlayers = lobby.teams[winner];
+    const winnerColor = winner === 'team1' ? (lobby.team1Color || 1) : (lobby.team2Color || 5);
     
     // Get color info
     const team1ColorInfo = CONFIG.TEAM_COLORS[lobby.team1Color || 1] || CONFIG.TEAM_COLORS[1];
     const team2ColorInfo = CONFIG.TEAM_COLORS[lobby.team2Color || 5] || CONFIG.TEAM_COLORS[5];
-    const winnerColorInfo = lobby.score.team1 >= 2 ? team1ColorInfo : team2ColorInfo;
+    const winnerColorInfo = winner === 'team1' ? team1ColorInfo : team2ColorInfo;
     const embedColor = parseInt(winnerColorInfo.hex.replace('#', ''), 16);
     
     const now = new Date();
@@ -754,6 +1047,19 @@ async function sendMatchResultToDiscord(lobby, results) {
     const team1Emoji = getColorEmoji(lobby.team1Color || 1);
     const team2Emoji = getColorEmoji(lobby.team2Color || 5);
     
+    // One line per round: "Round 1 (Canyon): Team 1 (server 2)"
+    const roundLines = (lobby.rounds || []).map(r =>
+      `Round ${r.round}${r.map ? ` (${r.map})` : ''}: ${r.winner === 'team1' ? 'Team 1' : 'Team 2'}` +
+      (r.declared ? ' *(declared)*' : '') +
+      (r.serverIndex !== null && r.serverIndex !== undefined ? ` (server ${r.serverIndex + 1})` : '')
+    );
+    
+    const formatResultLine = (p) => {
+      if (!lobby.isRanked) return p.username;
+      const streak = p.streak >= CONFIG.STREAKS.SHOW_FROM ? ` 🔥 ${p.streak}-game win streak` : '';
+      return `${p.username}: ${p.oldElo} → ${p.newElo} (${p.change >= 0 ? '+' : ''}${p.change})${streak}`;
+    };
+    
     const embed = new EmbedBuilder()
       .setColor(embedColor)
       .setTitle(`🏆 Match Complete - ${winnerTeam} Wins!`)
@@ -761,24 +1067,24 @@ async function sendMatchResultToDiscord(lobby, results) {
       .setImage(imageUrl)
       .addFields(
         {
-          name: `${team1Emoji} Team 1 ${lobby.score.team1 >= 2 ? '(Winner)' : ''}`,
+          name: `${team1Emoji} Team 1 ${winner === 'team1' ? '(Winner)' : ''}`,
           value: results.winners.filter(p => lobby.teams.team1.some(t => t.odiscordId === p.odiscordId))
             .concat(results.losers.filter(p => lobby.teams.team1.some(t => t.odiscordId === p.odiscordId)))
-            .map(p => lobby.isRanked ? `${p.username}: ${p.oldElo} → ${p.newElo} (${p.change >= 0 ? '+' : ''}${p.change})` : p.username)
+            .map(formatResultLine)
             .join('\n') || 'No players',
           inline: true
         },
         {
-          name: `${team2Emoji} Team 2 ${lobby.score.team2 >= 2 ? '(Winner)' : ''}`,
+          name: `${team2Emoji} Team 2 ${winner === 'team2' ? '(Winner)' : ''}`,
           value: results.winners.filter(p => lobby.teams.team2.some(t => t.odiscordId === p.odiscordId))
             .concat(results.losers.filter(p => lobby.teams.team2.some(t => t.odiscordId === p.odiscordId)))
-            .map(p => lobby.isRanked ? `${p.username}: ${p.oldElo} → ${p.newElo} (${p.change >= 0 ? '+' : ''}${p.change})` : p.username)
+            .map(formatResultLine)
             .join('\n') || 'No players',
           inline: true
         },
         {
-          name: '📊 Final Score',
-          value: `**${lobby.score.team1}** - **${lobby.score.team2}**`,
+          name: `📊 Final Score (${formatLabel(lobby)})`,
+          value: `**${lobby.score.team1}** - **${lobby.score.team2}**` + (roundLines.length ? `\n${roundLines.join('\n')}` : ''),
           inline: false
         }
       )
@@ -811,10 +1117,11 @@ function getColorEmoji(colorId) {
 // LOBBY MANAGEMENT
 // ===========================================
 
+// Lobbies are snapshotted to storage (see LOBBY PERSISTENCE); the rest write through on every change
 const lobbies = new Map();
-const purgeImmunity = new Set(); // Players who were purged and are immune next time
+const purgeImmunity = db.persistentSet('purgeImmunity'); // Players who were purged and are immune next time
 const dailyImmunity = new Map(); // Discord ID -> timestamp when immunity expires (5 hour cooldown)
-const globalTimeouts = new Map(); // Discord ID -> { until: timestamp, reason: string, bannedBy: discordId }
+const globalTimeouts = db.persistentMap('timeouts'); // Discord ID -> { until: timestamp, reason: string, bannedBy: discordId }
 
 function generateLobbyCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
@@ -867,6 +1174,26 @@ async function createLobby(hostId, hostData, maxPlayers, isPublic = false, isRan
     score: { team1: 0, team2: 0 },
     isPublic,
     isRanked, // Only public lobbies with role can be ranked
+    teamMode: 'draft', // 'draft' (captains pick) or 'balanced' (auto-split by ELO)
+    captainMode: CONFIG.CAPTAINS.DEFAULT_MODE,
+    captainVote: null, // { endsAt, votes: { voterId: candidateId } } during a vote
+    coinFlip: null, // { winnerId, loserId, deadline, choice, firstPick }
+    firstPick: 'team1',
+    pickOrder: CONFIG.DRAFT.DEFAULT_PICK_ORDER,
+    pickIndex: 0, // Picks made so far in the draft
+    pickDeadline: null, // When the current captain's pick is made for them
+    matchFormat: CONFIG.DEFAULT_MATCH_FORMAT,
+    winsNeeded: CONFIG.MATCH_FORMATS[CONFIG.DEFAULT_MATCH_FORMAT].winsNeeded,
+    rounds: [], // [{ round, winner, map, serverIndex, timestamp, declared }]
+    mapVeto: null, // { remaining, bans: [{ team, map, auto }], turn, deadline }
+    maps: null, // Map for each round, in order, once the veto is done
+    currentMap: null,
+    classPick: false, // Players declare a class before the match starts
+    classPickDeadline: null,
+    classesDeclared: [], // Who has declared during class pick (not what)
+    declaredClasses: null, // { odiscordId: className }, revealed once playing
+    balanceClasses: false,
+    balancePreview: null,
     lobbyVCId: null,
     team1VCId: null,
     team2VCId: null,
@@ -878,6 +1205,7 @@ async function createLobby(hostId, hostData, maxPlayers, isPublic = false, isRan
 
   lobbies.set(code, lobby);
   db.setUserSession(hostId, code);
+  snapshotLobbies();
   
   console.log(`Lobby ${code} created by ${hostData.username} (public: ${isPublic}, ranked: ${isRanked})`);
   return lobby;
@@ -898,8 +1226,11 @@ async function deleteLobby(code) {
     deleteVoiceChannel(lobby.team1VCId);
     deleteVoiceChannel(lobby.team2VCId);
     
+    clearPhaseTimer(code);
+    classPicks.delete(code);
     db.clearLobbySession(code);
     lobbies.delete(code);
+    snapshotLobbies();
     console.log(`Lobby ${code} deleted`);
   }
 }
@@ -940,6 +1271,7 @@ function getPublicLobbies() {
         createdAt: lobby.createdAt,
         phase: lobby.phase,
         score: lobby.score || null,
+        matchFormat: formatLabel(lobby),
         isRanked: lobby.isRanked || false,
         team1Color: lobby.team1Color || 1,
         team2Color: lobby.team2Color || 5
@@ -950,115 +1282,1380 @@ function getPublicLobbies() {
 }
 
 // ===========================================
-// REST API ENDPOINTS
+// LOBBY PERSISTENCE
 // ===========================================
 
-app.get('/api/leaderboard', async (req, res) => {
-  const leaderboard = db.getLeaderboard(50);
-  res.json(leaderboard);
-});
+let lastLobbySnapshot = null;
 
-app.get('/api/players/:id', async (req, res) => {
-  const player = db.getPlayer(req.params.id);
-  if (!player) {
-    return res.status(404).json({ error: 'Player not found' });
-  }
+// Write all lobbies to storage if anything changed since the last snapshot
+function snapshotLobbies() {
+  const list = Array.from(lobbies.values());
+  const json = JSON.stringify(list);
+  if (json === lastLobbySnapshot) return;
   
-  // Include match history
-  const matches = db.getPlayerMatches(req.params.id, 10);
-  res.json({ ...player, recentMatches: matches });
-});
+  lastLobbySnapshot = json;
+  db.saveLobbies(list);
+}
 
-app.get('/api/players', async (req, res) => {
-  const players = db.getAllPlayers();
-  res.json(players);
-});
+// Load lobbies saved before the last shutdown and resume them
+function restoreLobbies() {
+  for (const lobby of db.getSavedLobbies()) {
+    // Crashed in the middle of finishMatch before the result was saved;
+    // put it back in play so the host can declare the winner again
+    if (lobby.phase === 'finished' && !lobby.eloResults && !lobby.isDraw) {
+      lobby.phase = 'playing';
+    }
+    lobbies.set(lobby.id, lobby);
+  }
+  
+  const cleared = db.clearStaleSessions(new Set(lobbies.keys()));
+  
+  for (const lobby of lobbies.values()) {
+    // The purge countdown was lost in the restart, so run it again
+    if (lobby.phase === 'purging') {
+      setTimeout(() => runPurge(lobby), 5000);
+    }
+    // Vote, coin flip and pick timers were lost too; start them fresh
+    if (lobby.phase === 'captain-select' && lobby.captainVote) {
+      startCaptainVote(lobby);
+    } else if (lobby.phase === 'coin-flip') {
+      startCoinFlip(lobby);
+    } else if (lobby.phase === 'drafting') {
+      startPickTimer(lobby);
+    } else if (lobby.phase === 'map-veto') {
+      startBanTimer(lobby);
+    } else if (lobby.phase === 'class-pick') {
+      startClassPick(lobby);
+    }
+  }
+  
+  console.log(`Restored ${lobbies.size} lobbies (${cleared} stale sessions cleared)`);
+}
 
-// Player search endpoint for autocomplete
-app.get('/api/players/search/:query', async (req, res) => {
-  const query = req.params.query.toLowerCase();
-  const players = db.getAllPlayers();
+// Once Discord is ready, forget voice channels that were deleted while we
+// were down and finish closing lobbies whose match had already ended
+async function reattachLobbyVoiceChannels() {
+  const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
+  if (!guild) return;
   
-  // Filter players by username (case-insensitive partial match)
-  const matches = players
-    .filter(p => p.username.toLowerCase().includes(query))
-    .slice(0, 10) // Limit to 10 results
-    .map(p => ({
-      odiscordId: p.odiscordId,
-      username: p.username,
-      avatar: p.avatar,
-      elo: p.elo,
-      rank: p.rank
-    }));
+  for (const lobby of Array.from(lobbies.values())) {
+    for (const field of ['lobbyVCId', 'team1VCId', 'team2VCId']) {
+      if (lobby[field] && !guild.channels.cache.has(lobby[field])) {
+        console.log(`Lobby ${lobby.id}: voice channel ${lobby[field]} no longer exists`);
+        lobby[field] = null;
+      }
+    }
+    
+    if (lobby.phase === 'finished') {
+      await deleteLobby(lobby.id);
+    }
+  }
   
-  res.json(matches);
-});
+  snapshotLobbies();
+  io.emit('lobbiesUpdate', getPublicLobbies());
+}
 
-app.get('/api/matches', async (req, res) => {
-  const matches = db.getRecentMatches(20);
-  res.json(matches);
-});
+// ===========================================
+// MATCHMAKING QUEUE
+// ===========================================
+// Solo and duo queue for ranked lobbies. Grouping is in matchmaking.js;
+// this keeps the queue itself, runs ready checks and creates the lobbies.
+// Queue state is in memory only - after a restart players queue again.
+
+const queue = new Map(); // party ID -> { id, players, elo, joinedAt }
+const pendingDuos = new Map(); // Discord ID -> { partnerId, player, joinedAt } until the partner queues too
+const readyChecks = new Map(); // ready check ID -> { id, parties, accepted, expiresAt, timer }
+const queueCooldowns = new Map(); // Discord ID -> timestamp they may queue again
+const recentWaits = []; // [{ elo, wait }] for the last 50 matched parties
+
+function socketsOf(odiscordId) {
+  return [...io.sockets.sockets.values()].filter(s => s.odiscordId === odiscordId);
+}
 
-app.get('/api/matches/:playerId', async (req, res) => {
-  const matches = await db.getPlayerMatches(req.params.playerId, 20);
-  res.json(matches);
-});
+function emitToPlayer(odiscordId, event, data) {
+  for (const s of socketsOf(odiscordId)) {
+    s.emit(event, data);
+  }
+}
 
-// Admin backup endpoint - download all data
-// Access: /api/admin/backup?key=YOUR_SECRET_KEY
-app.get('/api/admin/backup', async (req, res) => {
-  const secretKey = req.query.key;
-  
-  // Simple secret key protection - change this!
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
+function findQueuedParty(odiscordId) {
+  for (const party of queue.values()) {
+    if (party.players.some(p => p.odiscordId === odiscordId)) return party;
   }
-  
-  const backup = {
-    exportedAt: new Date().toISOString(),
-    players: await db.getAllPlayers(),
-    matches: await db.getRecentMatches(1000),
-    // Include raw data if needed
+  return null;
+}
+
+function findReadyCheck(odiscordId) {
+  for (const check of readyChecks.values()) {
+    if (check.parties.some(party => party.players.some(p => p.odiscordId === odiscordId))) return check;
+  }
+  return null;
+}
+
+function isQueued(odiscordId) {
+  return pendingDuos.has(odiscordId) || !!findQueuedParty(odiscordId) || !!findReadyCheck(odiscordId);
+}
+
+function queuedPlayerCount() {
+  let count = pendingDuos.size;
+  for (const party of queue.values()) count += party.players.length;
+  return count;
+}
+
+// Why a player can't queue right now, or null if they can
+function getQueueBlocker(odiscordId) {
+  const timeout = globalTimeouts.get(odiscordId);
+  if (timeout && timeout.until > Date.now()) {
+    const remainingMins = Math.ceil((timeout.until - Date.now()) / 60000);
+    return `You are timed out for ${remainingMins} more minute(s). Reason: ${timeout.reason || 'No reason given'}`;
+  }
+  const cooldown = queueCooldowns.get(odiscordId);
+  if (cooldown && cooldown > Date.now()) {
+    return `You missed a ready check. You can queue again in ${Math.ceil((cooldown - Date.now()) / 60000)} minute(s).`;
+  }
+  const session = db.getUserSession(odiscordId);
+  if (session && getLobby(session.lobbyId)) {
+    return 'You are already in a lobby. Leave it first.';
+  }
+  if (isQueued(odiscordId)) {
+    return 'You are already in the queue';
+  }
+  return null;
+}
+
+function sendQueueStatus(party) {
+  const status = {
+    status: 'searching',
+    partyId: party.id,
+    players: party.players,
+    elo: Math.round(party.elo),
+    waitingSince: party.joinedAt,
+    searchWindow: searchWindow(party),
+    estimatedWait: estimateWait(party, recentWaits),
+    queueSize: queuedPlayerCount()
   };
-  
-  res.setHeader('Content-Disposition', 'attachment; filename=counterpush-backup.json');
-  res.setHeader('Content-Type', 'application/json');
-  res.json(backup);
-});
+  for (const player of party.players) {
+    emitToPlayer(player.odiscordId, 'queueStatus', status);
+  }
+}
 
-// Admin migrate endpoint - import data from JSON
-// POST /api/admin/migrate?key=YOUR_SECRET_KEY
-// Body: { players: {...}, matches: [...], links: {...} }
-app.post('/api/admin/migrate', async (req, res) => {
-  const secretKey = req.query.key;
+function broadcastQueueSize() {
+  io.emit('queueSize', { players: queuedPlayerCount() });
+}
+
+function addPartyToQueue(players, joinedAt = Date.now()) {
+  const party = {
+    id: `Q${Date.now()}-${players[0].odiscordId}`,
+    players,
+    elo: players.reduce((sum, p) => sum + p.elo, 0) / players.length,
+    joinedAt
+  };
+  queue.set(party.id, party);
+  console.log(`[QUEUE] ${players.map(p => p.username).join(' + ')} joined the queue (${Math.round(party.elo)} ELO)`);
   
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
+  sendQueueStatus(party);
+  broadcastQueueSize();
+  runMatchmaking();
+  return party;
+}
+
+// Take a player (and their duo partner) out of the queue
+function removeFromQueue(odiscordId, reason) {
+  const pending = pendingDuos.get(odiscordId);
+  if (pending) {
+    pendingDuos.delete(odiscordId);
+    emitToPlayer(odiscordId, 'queueLeft', { reason });
+    broadcastQueueSize();
+    return true;
   }
-  
-  try {
-    const { players, matches, links } = req.body;
-    db.migrateFromJSON(players, matches, links);
-    res.json({ success: true, message: 'Migration complete' });
-  } catch (error) {
-    console.error('Migration error:', error);
-    res.status(500).json({ error: 'Migration failed', details: error.message });
+
+  const party = findQueuedParty(odiscordId);
+  if (!party) return false;
+
+  queue.delete(party.id);
+  for (const player of party.players) {
+    emitToPlayer(player.odiscordId, 'queueLeft', {
+      reason: player.odiscordId === odiscordId ? reason : 'Your duo partner left the queue'
+    });
   }
-});
+  broadcastQueueSize();
+  return true;
+}
 
-// Admin CSV import endpoint - import stats from Player_Stats.csv format
-// POST /api/admin/import-csv?key=YOUR_SECRET_KEY
-// Body: CSV content or JSON array of rows
-app.post('/api/admin/import-csv', async (req, res) => {
-  const secretKey = req.query.key;
-  
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
+// Form as many matches as the queue allows and start their ready checks
+function runMatchmaking() {
+  let parties;
+  while ((parties = findMatch([...queue.values()]))) {
+    for (const party of parties) {
+      queue.delete(party.id);
+    }
+    startReadyCheck(parties);
   }
-  
-  try {
-    const { rows } = req.body; // Expecting JSON array of parsed CSV rows
-    
+}
+
+function startReadyCheck(parties) {
+  const id = `R${Date.now()}-${parties[0].id}`;
+  const check = {
+    id,
+    parties,
+    accepted: new Set(),
+    expiresAt: Date.now() + CONFIG.QUEUE.READY_CHECK_TIMEOUT,
+    timer: setTimeout(() => failReadyCheck(id), CONFIG.QUEUE.READY_CHECK_TIMEOUT)
+  };
+  readyChecks.set(id, check);
+
+  const players = parties.flatMap(party => party.players);
+  console.log(`[QUEUE] Match found: ${players.map(p => p.username).join(', ')}`);
+  for (const player of players) {
+    emitToPlayer(player.odiscordId, 'readyCheck', { id, expiresAt: check.expiresAt, players });
+  }
+  broadcastQueueSize();
+}
+
+function respondToReadyCheck(check, odiscordId, accept) {
+  if (!accept) {
+    failReadyCheck(check.id, [odiscordId]);
+    return;
+  }
+
+  check.accepted.add(odiscordId);
+  const players = check.parties.flatMap(party => party.players);
+  for (const player of players) {
+    emitToPlayer(player.odiscordId, 'readyCheckUpdate', { id: check.id, accepted: check.accepted.size, total: players.length });
+  }
+
+  if (check.accepted.size === players.length) {
+    completeReadyCheck(check).catch(e => recoverReadyCheck(check, e));
+  }
+}
+
+// Creating the lobby failed: close whatever was made of it and put every
+// party back in the queue with their original join time
+async function recoverReadyCheck(check, error) {
+  console.error(`[QUEUE] Error creating a lobby for ready check ${check.id}:`, error);
+
+  if (check.lobbyId && lobbies.has(check.lobbyId)) {
+    io.to(check.lobbyId).emit('lobbyClosed', { reason: 'The match lobby could not be set up' });
+    await deleteLobby(check.lobbyId).catch(e => console.error('Error deleting lobby:', e));
+  }
+
+  for (const party of check.parties) {
+    queue.set(party.id, party);
+    for (const player of party.players) {
+      emitToPlayer(player.odiscordId, 'error', { message: 'Could not set up the match lobby, you are back in the queue' });
+    }
+    sendQueueStatus(party);
+  }
+  broadcastQueueSize();
+}
+
+// Someone declined or time ran out. Parties that fully accepted go back in
+// the queue with their original join time; the rest are dropped and get
+// a short cooldown.
+function failReadyCheck(id, decliners = null) {
+  const check = readyChecks.get(id);
+  if (!check) return;
+  clearTimeout(check.timer);
+  readyChecks.delete(id);
+
+  const players = check.parties.flatMap(party => party.players);
+  const failed = new Set(decliners || players.filter(p => !check.accepted.has(p.odiscordId)).map(p => p.odiscordId));
+
+  for (const party of check.parties) {
+    const dropped = party.players.some(p => failed.has(p.odiscordId));
+    for (const player of party.players) {
+      emitToPlayer(player.odiscordId, 'readyCheckFailed', { id, requeued: !dropped });
+      if (failed.has(player.odiscordId)) {
+        queueCooldowns.set(player.odiscordId, Date.now() + CONFIG.QUEUE.DECLINE_COOLDOWN);
+        emitToPlayer(player.odiscordId, 'queueLeft', { reason: 'You did not accept the match' });
+      } else if (dropped) {
+        emitToPlayer(player.odiscordId, 'queueLeft', { reason: 'Your duo partner did not accept the match' });
+      }
+    }
+    if (!dropped) {
+      queue.set(party.id, party);
+      sendQueueStatus(party);
+    }
+  }
+
+  console.log(`[QUEUE] Ready check ${id} failed`);
+  broadcastQueueSize();
+  runMatchmaking();
+}
+
+// Everyone accepted: create the ranked lobby, move everyone into it and
+// into its voice channel
+async function completeReadyCheck(check) {
+  clearTimeout(check.timer);
+  readyChecks.delete(check.id);
+
+  const now = Date.now();
+  for (const party of check.parties) {
+    recentWaits.push({ elo: party.elo, wait: now - party.joinedAt });
+  }
+  recentWaits.splice(0, Math.max(0, recentWaits.length - 50));
+
+  // The longest-waiting player hosts
+  const players = [...check.parties]
+    .sort((a, b) => a.joinedAt - b.joinedAt)
+    .flatMap(party => party.players);
+  const [host, ...others] = players;
+
+  // Not public: only the matched players belong in it (joinLobby turns
+  // everyone else away), and with no host choosing, captains go by ELO
+  const lobby = await createLobby(host.odiscordId, host, CONFIG.QUEUE.LOBBY_SIZE, false, true);
+  check.lobbyId = lobby.id;
+  lobby.isQueue = true;
+  lobby.captainMode = 'elo';
+  for (const player of others) {
+    const lobbyPlayer = db.getOrCreatePlayer(player.odiscordId, player.username, player.avatar);
+    lobbyPlayer.hasPurgeImmunity = purgeImmunity.has(player.odiscordId);
+    lobby.players.push(lobbyPlayer);
+    db.setUserSession(player.odiscordId, lobby.id);
+  }
+  lobby.whitelist = players.map(p => p.odiscordId);
+
+  const vcData = await createLobbyVoiceChannels(lobby.id);
+  if (vcData) {
+    lobby.lobbyVCId = vcData.lobbyVCId;
+    lobby.lobbyVCName = vcData.lobbyVCName;
+  }
+
+  for (const player of players) {
+    if (lobby.lobbyVCId) {
+      movePlayerToLobbyVC(player.odiscordId, lobby.lobbyVCId);
+    }
+    for (const s of socketsOf(player.odiscordId)) {
+      s.join(lobby.id);
+      s.lobbyId = lobby.id;
+      s.emit('matchFound', { lobbyId: lobby.id });
+      s.emit('lobbyJoined', lobby);
+    }
+  }
+
+  // Everyone accepted, so go straight to picking teams
+  beginTeamSelection(lobby);
+  
+  snapshotLobbies();
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+  broadcastQueueSize();
+  console.log(`[QUEUE] Created lobby ${lobby.id} from the queue`);
+}
+
+// Runs every QUEUE.TICK_INTERVAL: search windows widen over time, so
+// matches that weren't possible a moment ago may be now
+function tickQueue() {
+  runMatchmaking();
+  for (const party of queue.values()) {
+    sendQueueStatus(party);
+  }
+  for (const [odiscordId, until] of queueCooldowns) {
+    if (until <= Date.now()) queueCooldowns.delete(odiscordId);
+  }
+}
+
+// ===========================================
+// RANK DECAY
+// ===========================================
+
+// Scheduled job: decay inactive high-tier players, swap the rank roles of
+// anyone who dropped a tier and DM players whose decay is about to start.
+// Waits for Discord so warnings aren't marked as sent without being sent.
+async function runRankDecay() {
+  if (!CONFIG.RANK_DECAY.ENABLED || !discordClient.isReady()) return;
+
+  let result;
+  try {
+    result = db.applyRankDecay();
+  } catch (e) {
+    console.error('Error applying rank decay:', e);
+    return;
+  }
+
+  for (const change of result.decayed) {
+    console.log(`[DECAY] ${change.username}: ${change.oldElo} -> ${change.newElo}`);
+  }
+  await announceRankChanges(result.rankChanges);
+
+  for (const warning of result.warnings) {
+    const user = await discordClient.users.fetch(warning.odiscordId).catch(() => null);
+    if (!user) continue;
+
+    await user.send(
+      `⏳ You haven't played a ranked match in a while. Your **${warning.rank}** rating will start to decay ` +
+      `<t:${Math.floor(warning.decayAt / 1000)}:R> (-${warning.eloPerWeek} ELO per week). Play a ranked match to reset the timer.`
+    ).catch(e => console.log(`[DECAY] Could not DM ${warning.username}: ${e.message}`));
+  }
+}
+
+// ===========================================
+// TEAM SELECTION
+// ===========================================
+
+const TEAM_MODES = ['draft', 'balanced'];
+
+// Once the lobby is down to its final players: captain select for draft
+// lobbies, or a balanced split for the host to preview
+function beginTeamSelection(lobby) {
+  clearPhaseTimer(lobby.id);
+  if (lobby.teamMode === 'balanced') {
+    lobby.phase = 'balancing';
+    lobby.balancePreview = previewBalancedTeams(lobby);
+  } else {
+    lobby.phase = 'captain-select';
+    lobby.balancePreview = null;
+    beginCaptainSelection(lobby);
+  }
+}
+
+// previous: the split being rerolled, to get a different one (null if
+// there is no other split that's close enough)
+function previewBalancedTeams(lobby, previous = null) {
+  const split = balanceTeams(lobby.players, {
+    balanceClasses: lobby.balanceClasses,
+    classOf: db.getMainClass,
+    previous
+  });
+  if (!split) return null;
+  
+  // Highest rated player first on each team, so they act as its captain
+  const byElo = team => [...team].sort((a, b) => b.elo - a.elo);
+  return {
+    team1: byElo(split.team1),
+    team2: byElo(split.team2),
+    team1Elo: split.team1Elo,
+    team2Elo: split.team2Elo,
+    eloDiff: split.eloDiff,
+    classDiff: split.classDiff
+  };
+}
+
+// ===========================================
+// CAPTAINS
+// ===========================================
+// Draft lobbies get their captains by the lobby's captainMode, then the
+// captains flip a coin for first pick or side color.
+
+function beginCaptainSelection(lobby) {
+  clearPhaseTimer(lobby.id);
+  lobby.captains = [];
+  lobby.teams = { team1: [], team2: [] };
+  lobby.captainVote = null;
+  lobby.coinFlip = null;
+
+  if (lobby.captainMode === 'random') {
+    const pool = [...lobby.players];
+    const first = pool.splice(Math.floor(Math.random() * pool.length), 1)[0];
+    const second = pool[Math.floor(Math.random() * pool.length)];
+    setCaptains(lobby, [first, second]);
+  } else if (lobby.captainMode === 'elo') {
+    const byElo = [...lobby.players].sort((a, b) => b.elo - a.elo);
+    setCaptains(lobby, byElo.slice(0, 2));
+  } else if (lobby.captainMode === 'vote') {
+    startCaptainVote(lobby);
+  }
+  // 'host': the host picks both with selectCaptain
+}
+
+function startCaptainVote(lobby, endsAt = Date.now() + CONFIG.CAPTAINS.VOTE_DURATION) {
+  lobby.captainVote = lobby.captainVote || { endsAt, votes: {} };
+  lobby.captainVote.endsAt = endsAt;
+  phaseTimers.set(lobby.id, setTimeout(() => endCaptainVote(lobby.id), Math.max(0, endsAt - Date.now())));
+  io.to(lobby.id).emit('captainVoteStarted', { endsAt });
+}
+
+// Vote count per candidate
+function tallyCaptainVotes(lobby) {
+  const tally = {};
+  for (const candidateId of Object.values(lobby.captainVote?.votes || {})) {
+    tally[candidateId] = (tally[candidateId] || 0) + 1;
+  }
+  return tally;
+}
+
+// The two most voted players become captains; ties (and not enough
+// votes) are settled by ELO
+function endCaptainVote(lobbyId) {
+  clearPhaseTimer(lobbyId);
+  const lobby = getLobby(lobbyId);
+  if (!lobby || lobby.phase !== 'captain-select' || !lobby.captainVote) return;
+
+  const tally = tallyCaptainVotes(lobby);
+  const ranked = [...lobby.players].sort((a, b) =>
+    (tally[b.odiscordId] || 0) - (tally[a.odiscordId] || 0) || b.elo - a.elo
+  );
+  lobby.captainVote = null;
+  setCaptains(lobby, ranked.slice(0, 2), tally);
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+}
+
+function setCaptains(lobby, captains, votes = null) {
+  lobby.captains = captains;
+  lobby.teams = { team1: [captains[0]], team2: [captains[1]] };
+  io.to(lobby.id).emit('captainsSelected', { captains, mode: lobby.captainMode, votes });
+  startCoinFlip(lobby);
+}
+
+// Flip for first pick. The winner chooses first pick or side color with
+// coinFlipChoice; if they don't choose in time they get first pick.
+function startCoinFlip(lobby, deadline = Date.now() + CONFIG.CAPTAINS.COIN_FLIP_TIMEOUT) {
+  lobby.phase = 'coin-flip';
+  if (!lobby.coinFlip) {
+    const [winner, loser] = Math.random() < 0.5 ? lobby.captains : [...lobby.captains].reverse();
+    lobby.coinFlip = { winnerId: winner.odiscordId, loserId: loser.odiscordId, deadline, choice: null, firstPick: null };
+    io.to(lobby.id).emit('coinFlip', { winner, loser, deadline, choices: ['first-pick', 'side'] });
+  }
+  lobby.coinFlip.deadline = deadline;
+  phaseTimers.set(lobby.id, setTimeout(() => resolveCoinFlip(lobby.id, 'first-pick'), Math.max(0, deadline - Date.now())));
+}
+
+// choice: 'first-pick', or 'side' to pick the winner's team color (the
+// other captain then picks first)
+function resolveCoinFlip(lobbyId, choice, color = null) {
+  clearPhaseTimer(lobbyId);
+  const lobby = getLobby(lobbyId);
+  if (!lobby || lobby.phase !== 'coin-flip') return;
+
+  const { winnerId } = lobby.coinFlip;
+  const winnerTeam = lobby.teams.team1[0].odiscordId === winnerId ? 'team1' : 'team2';
+  const otherTeam = winnerTeam === 'team1' ? 'team2' : 'team1';
+
+  if (choice === 'side' && color !== null) {
+    // Taking the other team's color swaps the two
+    if (lobby[`${otherTeam}Color`] === color) {
+      lobby[`${otherTeam}Color`] = lobby[`${winnerTeam}Color`];
+    }
+    lobby[`${winnerTeam}Color`] = color;
+  }
+
+  lobby.firstPick = choice === 'side' ? otherTeam : winnerTeam;
+  lobby.coinFlip.choice = choice;
+  lobby.coinFlip.firstPick = lobby.firstPick;
+  io.to(lobby.id).emit('coinFlipResult', {
+    winnerId,
+    choice,
+    firstPick: lobby.firstPick,
+    team1Color: lobby.team1Color,
+    team2Color: lobby.team2Color
+  });
+
+  startDraft(lobby);
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+}
+
+// ===========================================
+// DRAFT
+// ===========================================
+// Captains pick in the lobby's pick order. Each turn has a timer; when it
+// runs out the highest-ELO player left is picked for that captain.
+
+const phaseTimers = new Map(); // lobby ID -> timeout ending the current vote, coin flip or pick
+
+function clearPhaseTimer(lobbyId) {
+  clearTimeout(phaseTimers.get(lobbyId));
+  phaseTimers.delete(lobbyId);
+}
+
+function unpickedPlayers(lobby) {
+  const picked = new Set([...lobby.teams.team1, ...lobby.teams.team2].map(p => p.odiscordId));
+  return lobby.players.filter(p => !picked.has(p.odiscordId));
+}
+
+// Whose turn the draft is on after lobby.pickIndex picks, skipping a team
+// once it's full. Sets currentTurn and picksLeft (picks in a row for that
+// captain), or returns false when nobody is left to pick.
+function updateDraftTurn(lobby) {
+  const order = CONFIG.DRAFT.PICK_ORDERS[lobby.pickOrder] || CONFIG.DRAFT.PICK_ORDERS[CONFIG.DRAFT.DEFAULT_PICK_ORDER];
+  const teamSize = Math.ceil(lobby.players.length / 2);
+  const remaining = unpickedPlayers(lobby).length;
+  const isFull = team => lobby.teams[team].length >= teamSize;
+  const second = lobby.firstPick === 'team2' ? 'team1' : 'team2';
+  const teamAt = index => (order[index % order.length] === 'A' ? lobby.firstPick || 'team1' : second);
+
+  if (remaining === 0 || (isFull('team1') && isFull('team2'))) return false;
+
+  let team = teamAt(lobby.pickIndex);
+  if (isFull(team)) {
+    team = team === 'team1' ? 'team2' : 'team1';
+    lobby.currentTurn = team;
+    lobby.picksLeft = Math.min(remaining, teamSize - lobby.teams[team].length);
+    return true;
+  }
+
+  let picks = 1;
+  while (teamAt(lobby.pickIndex + picks) === team && picks < order.length) picks++;
+  lobby.currentTurn = team;
+  lobby.picksLeft = Math.min(picks, remaining, teamSize - lobby.teams[team].length);
+  return true;
+}
+
+function startPickTimer(lobby) {
+  clearPhaseTimer(lobby.id);
+  lobby.pickDeadline = Date.now() + CONFIG.DRAFT.PICK_TIMEOUT;
+  phaseTimers.set(lobby.id, setTimeout(() => autoPick(lobby.id), CONFIG.DRAFT.PICK_TIMEOUT));
+}
+
+// Captains and first pick are settled: start picking
+function startDraft(lobby) {
+  lobby.phase = 'drafting';
+  lobby.pickIndex = 0;
+  updateDraftTurn(lobby);
+  startPickTimer(lobby);
+}
+
+async function makeDraftPick(lobby, player, auto = false) {
+  lobby.teams[lobby.currentTurn].push(player);
+  lobby.pickIndex++;
+  
+  // Emit draft pick event for sound
+  io.to(lobby.id).emit('draftPick', { player, team: lobby.currentTurn, auto });
+
+  if (updateDraftTurn(lobby)) {
+    startPickTimer(lobby);
+  } else {
+    clearPhaseTimer(lobby.id);
+    lobby.pickDeadline = null;
+    await teamsComplete(lobby);
+  }
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+}
+
+// The captain ran out of time: pick the highest-ELO player left for them
+async function autoPick(lobbyId) {
+  phaseTimers.delete(lobbyId);
+  const lobby = getLobby(lobbyId);
+  if (!lobby || lobby.phase !== 'drafting') return;
+
+  const [player] = unpickedPlayers(lobby).sort((a, b) => b.elo - a.elo);
+  if (!player) return;
+  
+  console.log(`Lobby ${lobbyId}: ${lobby.currentTurn} captain timed out, auto-picked ${player.username}`);
+  await makeDraftPick(lobby, player, true);
+}
+
+// Teams are set: veto maps, then declare classes if the lobby wants that
+async function teamsComplete(lobby) {
+  if (startMapVeto(lobby)) return; // Continues in banMap once the veto is done
+  await mapsChosen(lobby);
+}
+
+async function mapsChosen(lobby) {
+  if (lobby.classPick) {
+    startClassPick(lobby);
+  } else {
+    await startPlaying(lobby);
+  }
+}
+
+async function startPlaying(lobby) {
+  // Create team VCs
+  const teamVCs = await createTeamVoiceChannels(lobby.id);
+  if (teamVCs) {
+    lobby.team1VCId = teamVCs.team1VCId;
+    lobby.team2VCId = teamVCs.team2VCId;
+  }
+  
+  lobby.phase = 'playing';
+  lobby.currentTurn = null;
+  
+  // Move players to team VCs
+  await movePlayersToTeamVCs(lobby);
+  
+  // Delete lobby VC (no longer needed)
+  await deleteVoiceChannel(lobby.lobbyVCId);
+  lobby.lobbyVCId = null;
+}
+
+// ===========================================
+// MATCH FORMAT
+// ===========================================
+// A lobby's match is won at winsNeeded rounds (2 for the default best of
+// three). Every round is recorded; rounds a host skips by declaring the
+// winner outright are marked declared.
+
+// Validated { matchFormat, winsNeeded } for a format key and first-to count
+function parseMatchFormat(format, firstTo) {
+  const info = CONFIG.MATCH_FORMATS[format];
+  if (!info) {
+    throw new Error(`Match format must be one of: ${Object.keys(CONFIG.MATCH_FORMATS).join(', ')}`);
+  }
+  if (info.winsNeeded !== null) {
+    return { matchFormat: format, winsNeeded: info.winsNeeded };
+  }
+  
+  const n = parseInt(firstTo);
+  if (!Number.isInteger(n) || n < 1 || n > CONFIG.MAX_FIRST_TO) {
+    throw new Error(`First to must be between 1 and ${CONFIG.MAX_FIRST_TO}`);
+  }
+  return { matchFormat: format, winsNeeded: n };
+}
+
+// Lobbies saved before formats existed are best of three
+function winsNeeded(lobby) {
+  return lobby.winsNeeded || CONFIG.MATCH_FORMATS.bo3.winsNeeded;
+}
+
+function formatLabel(lobby) {
+  const info = CONFIG.MATCH_FORMATS[lobby.matchFormat];
+  if (!info) return CONFIG.MATCH_FORMATS.bo3.name;
+  return info.winsNeeded === null ? `${info.name} ${winsNeeded(lobby)}` : info.name;
+}
+
+// 'team1' or 'team2' once a team has won enough rounds, else null
+function getMatchWinner(lobby) {
+  if (lobby.score.team1 >= winsNeeded(lobby)) return 'team1';
+  if (lobby.score.team2 >= winsNeeded(lobby)) return 'team2';
+  return null;
+}
+
+function recordRound(lobby, winner, serverIndex = null, declared = false) {
+  lobby.rounds = lobby.rounds || [];
+  lobby.score[winner]++;
+  lobby.rounds.push({
+    round: lobby.rounds.length + 1,
+    winner,
+    map: mapForRound(lobby, lobby.rounds.length),
+    serverIndex,
+    timestamp: Date.now(),
+    ...(declared && { declared: true })
+  });
+  lobby.currentMap = mapForRound(lobby, lobby.rounds.length);
+}
+
+// The host declared the winner: count the rounds they still needed
+function declareRounds(lobby, winner, serverIndex = null) {
+  while (lobby.score[winner] < winsNeeded(lobby)) {
+    recordRound(lobby, winner, serverIndex, true);
+  }
+}
+
+// Format, score, rounds and maps as saved with the match
+function matchRecord(lobby) {
+  return {
+    format: { type: lobby.matchFormat || 'bo3', winsNeeded: winsNeeded(lobby), name: formatLabel(lobby) },
+    score: { ...lobby.score },
+    rounds: lobby.rounds || [],
+    maps: lobby.maps || [],
+    mapBans: lobby.mapVeto?.bans || []
+  };
+}
+
+// ===========================================
+// MAP VETO
+// ===========================================
+// Captains alternate banning maps from CONFIG.MAPS.POOL until one is left
+// for every round the match could go to. The team without first pick bans
+// first. The remaining maps are played in pool order.
+
+// Most rounds the match can last (3 for a best of three)
+function maxRounds(lobby) {
+  return winsNeeded(lobby) * 2 - 1;
+}
+
+function mapForRound(lobby, index) {
+  const maps = lobby.maps || [];
+  return maps.length > 0 ? maps[index % maps.length] : null;
+}
+
+function startBanTimer(lobby) {
+  clearPhaseTimer(lobby.id);
+  lobby.mapVeto.deadline = Date.now() + CONFIG.MAPS.BAN_TIMEOUT;
+  phaseTimers.set(lobby.id, setTimeout(() => autoBan(lobby.id), CONFIG.MAPS.BAN_TIMEOUT));
+}
+
+// Start the veto, or just set the maps and return false when the pool
+// isn't bigger than the number of rounds
+function startMapVeto(lobby) {
+  const pool = CONFIG.MAPS.POOL;
+  if (pool.length <= maxRounds(lobby)) {
+    lobby.maps = [...pool];
+    lobby.currentMap = mapForRound(lobby, 0);
+    return false;
+  }
+
+  lobby.phase = 'map-veto';
+  lobby.mapVeto = {
+    remaining: [...pool],
+    bans: [],
+    turn: lobby.firstPick === 'team2' ? 'team1' : 'team2',
+    deadline: null
+  };
+  startBanTimer(lobby);
+  io.to(lobby.id).emit('mapVetoStarted', { pool, turn: lobby.mapVeto.turn, deadline: lobby.mapVeto.deadline });
+  return true;
+}
+
+async function banMap(lobby, map, auto = false) {
+  const veto = lobby.mapVeto;
+  veto.remaining = veto.remaining.filter(m => m !== map);
+  veto.bans.push({ team: veto.turn, map, auto });
+  io.to(lobby.id).emit('mapBanned', { team: veto.turn, map, auto });
+
+  if (veto.remaining.length > maxRounds(lobby)) {
+    veto.turn = veto.turn === 'team1' ? 'team2' : 'team1';
+    startBanTimer(lobby);
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+    return;
+  }
+
+  clearPhaseTimer(lobby.id);
+  veto.deadline = null;
+  lobby.maps = veto.remaining;
+  lobby.currentMap = mapForRound(lobby, 0);
+  io.to(lobby.id).emit('mapsChosen', { maps: lobby.maps });
+  
+  await mapsChosen(lobby);
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+}
+
+// The captain ran out of time: ban a random map for them
+async function autoBan(lobbyId) {
+  phaseTimers.delete(lobbyId);
+  const lobby = getLobby(lobbyId);
+  if (!lobby || lobby.phase !== 'map-veto') return;
+
+  const { remaining } = lobby.mapVeto;
+  await banMap(lobby, remaining[Math.floor(Math.random() * remaining.length)], true);
+}
+
+// ===========================================
+// CLASS PICK
+// ===========================================
+// Players declare the class they'll play, within the per-team
+// CLASS_PICK.TEAM_LIMITS. Picks are only sent to teammates while the phase
+// is on, so they're kept here instead of on the (broadcast) lobby, and
+// copied to lobby.declaredClasses when the match starts. A restart during
+// class pick loses the picks and starts the phase over.
+
+const classPicks = new Map(); // lobby ID -> { odiscordId: className }
+
+function teamOf(lobby, odiscordId) {
+  if (lobby.teams.team1.some(p => p.odiscordId === odiscordId)) return 'team1';
+  if (lobby.teams.team2.some(p => p.odiscordId === odiscordId)) return 'team2';
+  return null;
+}
+
+// Send each team its own picks
+function sendClassPicks(lobby) {
+  const picks = classPicks.get(lobby.id) || {};
+  for (const team of ['team1', 'team2']) {
+    const teamPicks = {};
+    for (const p of lobby.teams[team]) {
+      if (picks[p.odiscordId]) teamPicks[p.odiscordId] = picks[p.odiscordId];
+    }
+    for (const p of lobby.teams[team]) {
+      emitToPlayer(p.odiscordId, 'classPicksUpdate', {
+        lobbyId: lobby.id,
+        team,
+        picks: teamPicks,
+        limits: CONFIG.CLASS_PICK.TEAM_LIMITS,
+        deadline: lobby.classPickDeadline
+      });
+    }
+  }
+}
+
+function startClassPick(lobby, deadline = Date.now() + CONFIG.CLASS_PICK.TIMEOUT) {
+  clearPhaseTimer(lobby.id);
+  lobby.phase = 'class-pick';
+  lobby.classPickDeadline = deadline;
+  lobby.classesDeclared = [];
+  classPicks.set(lobby.id, {});
+  phaseTimers.set(lobby.id, setTimeout(() => endClassPick(lobby.id), Math.max(0, deadline - Date.now())));
+  sendClassPicks(lobby);
+}
+
+// Why a player can't declare className, or null if they can
+function checkClassPick(lobby, odiscordId, className) {
+  const team = teamOf(lobby, odiscordId);
+  if (!team) return 'You are not on a team';
+
+  const limit = CONFIG.CLASS_PICK.TEAM_LIMITS[className];
+  if (limit === undefined) return null;
+
+  const picks = classPicks.get(lobby.id) || {};
+  const taken = lobby.teams[team].filter(p => p.odiscordId !== odiscordId && picks[p.odiscordId] === className).length;
+  return taken >= limit ? `Your team already has ${limit} ${className}${limit === 1 ? '' : 's'}` : null;
+}
+
+function declareClass(lobby, odiscordId, className) {
+  const picks = classPicks.get(lobby.id) || {};
+  picks[odiscordId] = className;
+  classPicks.set(lobby.id, picks);
+  lobby.classesDeclared = Object.keys(picks);
+  sendClassPicks(lobby);
+
+  const total = lobby.teams.team1.length + lobby.teams.team2.length;
+  if (lobby.classesDeclared.length >= total) {
+    endClassPick(lobby.id);
+  } else {
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  }
+}
+
+// Everyone declared or time's up: reveal the picks and start the match
+async function endClassPick(lobbyId) {
+  clearPhaseTimer(lobbyId);
+  const lobby = getLobby(lobbyId);
+  if (!lobby || lobby.phase !== 'class-pick') return;
+
+  lobby.declaredClasses = classPicks.get(lobbyId) || {};
+  lobby.classPickDeadline = null;
+  classPicks.delete(lobbyId);
+  
+  io.to(lobby.id).emit('classesRevealed', { declaredClasses: lobby.declaredClasses });
+  await startPlaying(lobby);
+  io.to(lobby.id).emit('lobbyUpdate', lobby);
+}
+
+// ===========================================
+// PURGE
+// ===========================================
+
+// Purge function - randomly eliminates players
+async function runPurge(lobby) {
+  const toEliminate = lobby.players.length - lobby.maxPlayers;
+  const eliminated = [];
+  
+  console.log(`[PURGE] Starting purge in lobby ${lobby.id}`);
+  console.log(`[PURGE] Players: ${lobby.players.length}, Max: ${lobby.maxPlayers}, To eliminate: ${toEliminate}`);
+  
+  // Get immune players (purge immunity from being purged before)
+  const immunePlayers = lobby.players.filter(p => purgeImmunity.has(p.odiscordId));
+  
+  // Get whitelisted players
+  const whitelistedPlayers = lobby.players.filter(p => 
+    lobby.whitelist && lobby.whitelist.includes(p.odiscordId)
+  );
+  
+  // Players that CAN be eliminated (not host, not immune, not whitelisted)
+  const eliminatablePlayers = lobby.players.filter(p => 
+    p.odiscordId !== lobby.host.odiscordId && 
+    !purgeImmunity.has(p.odiscordId) &&
+    !(lobby.whitelist && lobby.whitelist.includes(p.odiscordId))
+  );
+  
+  console.log(`[PURGE] Host: ${lobby.host.username}`);
+  console.log(`[PURGE] Immune players: ${immunePlayers.map(p => p.username).join(', ') || 'none'}`);
+  console.log(`[PURGE] Whitelisted: ${whitelistedPlayers.map(p => p.username).join(', ') || 'none'}`);
+  console.log(`[PURGE] Eliminatable: ${eliminatablePlayers.map(p => p.username).join(', ') || 'none'}`);
+  
+  // Clear purge immunity for players who used it (they survived because of it)
+  immunePlayers.forEach(p => {
+    purgeImmunity.delete(p.odiscordId);
+    console.log(`[PURGE] ${p.username} used their purge immunity`);
+  });
+  
+  // Notify immune players
+  const immuneNotifications = [];
+  immunePlayers.forEach(p => {
+    immuneNotifications.push({ odiscordId: p.odiscordId, username: p.username, type: 'purge' });
+  });
+  whitelistedPlayers.filter(p => !immunePlayers.some(ip => ip.odiscordId === p.odiscordId)).forEach(p => {
+    immuneNotifications.push({ odiscordId: p.odiscordId, username: p.username, type: 'whitelist' });
+  });
+  
+  if (immuneNotifications.length > 0) {
+    io.to(lobby.id).emit('immunityUsed', { players: immuneNotifications });
+  }
+  
+  // Eliminate random players
+  for (let i = 0; i < toEliminate; i++) {
+    if (eliminatablePlayers.length === 0) {
+      console.log(`[PURGE] No more eliminatable players!`);
+      break;
+    }
+    
+    const randomIndex = Math.floor(Math.random() * eliminatablePlayers.length);
+    const player = eliminatablePlayers.splice(randomIndex, 1)[0];
+    eliminated.push(player);
+    
+    // Remove from lobby
+    lobby.players = lobby.players.filter(p => p.odiscordId !== player.odiscordId);
+    db.clearUserSession(player.odiscordId);
+    
+    // Grant purge immunity for next lobby
+    purgeImmunity.add(player.odiscordId);
+    console.log(`[PURGE] ${player.username} was purged and granted immunity for next lobby`);
+  }
+  
+  lobby.purgeData.eliminated = eliminated;
+  // Players who could have been purged but weren't (for the Survivor achievement)
+  lobby.purgeSurvivors = eliminatablePlayers.map(p => p.odiscordId);
+  console.log(`[PURGE] Eliminated ${eliminated.length} players: ${eliminated.map(p => p.username).join(', ')}`);
+  
+  // Get lobby VC IDs for checking
+  const lobbyVCId = lobby.lobbyVCId;
+  
+  // Send elimination events one by one with delay
+  eliminated.forEach((player, index) => {
+    setTimeout(() => {
+      io.to(lobby.id).emit('playerEliminated', { 
+        player, 
+        index: index + 1, 
+        total: eliminated.length,
+        hasImmunity: true // Let them know they have immunity next time
+      });
+      
+      // Move eliminated player to main VC (only if in lobby VC)
+      movePlayerToMainVC(player.odiscordId, lobbyVCId);
+    }, index * 1000); // 1 second between each elimination
+  });
+  
+  // After all eliminations, move on to picking teams
+  setTimeout(() => {
+    beginTeamSelection(lobby);
+    delete lobby.purgeData;
+    io.to(lobby.id).emit('purgeComplete', { survivors: lobby.players });
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+    io.emit('lobbiesUpdate', getPublicLobbies());
+    console.log(`Lobby ${lobby.id} purge complete, ${eliminated.length} eliminated`);
+  }, eliminated.length * 1000 + 2000); // Wait for all eliminations + 2 seconds
+}
+
+// Helper to move a single player to main VC (only if in specific VC)
+async function movePlayerToMainVC(odiscordId, fromVCId) {
+  if (!discordClient.isReady()) return;
+  
+  try {
+    const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
+    if (!guild) return;
+    
+    const member = await guild.members.fetch(odiscordId).catch(() => null);
+    // Only move if they're in the lobby VC
+    if (member && member.voice?.channelId === fromVCId) {
+      await member.voice.setChannel(CONFIG.MAIN_VC_ID).catch(e => console.error('Move error:', e));
+      console.log(`Moved purged player ${member.user.username} to main VC`);
+    }
+  } catch (e) {
+    console.error('Error moving purged player to main VC:', e);
+  }
+}
+
+// ===========================================
+// AUTH API (Discord OAuth2)
+// ===========================================
+
+// Start login: send the browser to Discord's consent screen
+app.get('/api/auth/login', (req, res) => {
+  if (!CONFIG.DISCORD_CLIENT_ID || !CONFIG.DISCORD_CLIENT_SECRET) {
+    return res.status(500).json({ error: 'Discord login is not configured' });
+  }
+  res.redirect(auth.startOAuth(res));
+});
+
+// Discord redirects back here; hand the frontend a session token
+app.get('/api/auth/callback', async (req, res) => {
+  const { code, state } = req.query;
+  const nonce = auth.getOAuthNonce(req);
+  auth.clearOAuthNonce(res); // One use only
+  
+  if (!code || !auth.isValidOAuthState(state, nonce)) {
+    return res.status(400).json({ error: 'Invalid OAuth callback' });
+  }
+  
+  try {
+    const user = await auth.exchangeCode(code);
+    const token = auth.signSessionToken(user);
+    // Token goes in the fragment so it never reaches server logs
+    res.redirect(`${CONFIG.FRONTEND_URL}/auth/callback#token=${encodeURIComponent(token)}`);
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    res.status(502).json({ error: 'Discord login failed' });
+  }
+});
+
+// Who the current token belongs to
+app.get('/api/auth/me', auth.requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+// ===========================================
+// REST API ENDPOINTS
+// ===========================================
+
+// Parse leaderboard options from a query string
+// ?sort=elo|wins|winRate|kdr|kills|damage|healing|gamesPlayed&class=&rank=
+// &minGames=&limit=&offset= or &cursor=, &player=<id> to include their row
+function parseLeaderboardQuery(query, defaultSort = 'elo') {
+  const parseCount = (value, name, fallback) => {
+    if (value === undefined) return fallback;
+    const number = parseInt(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`${name} must be a non-negative integer`);
+    return number;
+  };
+  
+  return {
+    sort: query.sort || defaultSort,
+    className: query.class,
+    rank: query.rank,
+    minGames: parseCount(query.minGames, 'minGames', 1),
+    offset: parseCount(query.offset, 'offset', 0),
+    cursor: query.cursor,
+    limit: Math.min(Math.max(parseCount(query.limit, 'limit', 50), 1), 200),
+    playerId: query.player
+  };
+}
+
+// Plain array of rows, as before paging existed. Asking for a page (cursor,
+// limit, offset) or your own row (player) returns
+// { players, total, nextCursor, self } instead.
+app.get('/api/leaderboard', async (req, res) => {
+  try {
+    const page = db.queryLeaderboard(parseLeaderboardQuery(req.query));
+    const paged = ['cursor', 'limit', 'offset', 'player'].some(param => req.query[param] !== undefined);
+    res.json(paged ? page : page.players);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Pick rate, win rate and per-game averages per class, also by rank tier
+app.get('/api/classes', (req, res) => {
+  res.json(db.getClassSummary());
+});
+
+// Top players of one class; same options as /api/leaderboard, sorted by wins by default
+app.get('/api/classes/:name/leaderboard', (req, res) => {
+  const className = Object.values(CONFIG.CLASSES)
+    .find(name => name.toLowerCase() === req.params.name.toLowerCase());
+  if (!className) {
+    return res.status(404).json({ error: 'Class not found' });
+  }
+  
+  try {
+    res.json(db.queryLeaderboard({ ...parseLeaderboardQuery(req.query, 'wins'), className }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/players/:id', async (req, res) => {
+  const player = db.getPlayer(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  // Include match history, per-season results and unlocked achievements
+  const matches = db.getPlayerMatches(req.params.id, 10);
+  const seasons = db.getPlayerSeasons(req.params.id);
+  const achievements = db.getPlayerAchievements(req.params.id);
+  res.json({ ...player, recentMatches: matches, seasons, achievements });
+});
+
+// Every achievement and how many players have unlocked it
+app.get('/api/achievements', (req, res) => {
+  res.json(db.getAchievementStats());
+});
+
+// Per-map play, pick and ban rates; with ?player= also that player's win rate
+app.get('/api/maps/stats', (req, res) => {
+  if (req.query.player && !db.getPlayer(req.query.player)) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.json(db.getMapStats({ playerId: req.query.player }));
+});
+
+// Opponents and teammates: ?sort=games|winRate|lossRate|eloChange|eloLost&minGames=&limit=
+for (const [path, getRelations] of [['rivals', db.getRivals], ['teammates', db.getTeammates]]) {
+  app.get(`/api/players/:id/${path}`, (req, res) => {
+    if (!db.getPlayer(req.params.id)) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+    
+    try {
+      res.json(getRelations(req.params.id, {
+        sort: req.query.sort || 'games',
+        minGames: Math.max(parseInt(req.query.minGames) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+      }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
+
+// ELO over time: ?bucket=day|week&from=&to= (dates or ms timestamps)
+app.get('/api/players/:id/elo-history', (req, res) => {
+  const player = db.getPlayer(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  try {
+    const { from, to } = parseMatchQuery(req.query);
+    const history = db.getEloHistory(req.params.id, { from, to, bucket: req.query.bucket });
+    res.json({
+      odiscordId: player.odiscordId,
+      elo: player.elo,
+      peakElo: player.peakElo,
+      peakRank: player.peakRank,
+      peakAt: player.peakAt,
+      bucket: req.query.bucket || null,
+      history
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/players', async (req, res) => {
+  const players = db.getAllPlayers();
+  res.json(players);
+});
+
+// Player search endpoint for autocomplete
+app.get('/api/players/search/:query', async (req, res) => {
+  const query = req.params.query.toLowerCase();
+  const players = db.getAllPlayers();
+  
+  // Filter players by username (case-insensitive partial match)
+  const matches = players
+    .filter(p => p.username.toLowerCase().includes(query))
+    .slice(0, 10) // Limit to 10 results
+    .map(p => ({
+      odiscordId: p.odiscordId,
+      username: p.username,
+      avatar: p.avatar,
+      elo: p.elo,
+      rank: p.rank
+    }));
+  
+  res.json(matches);
+});
+
+// Parse match history filters from a query string
+// ?limit=&cursor=&from=&to=&ranked=true|false&draw=true|false&lobby=&player=
+function parseMatchQuery(query, maxLimit = 100) {
+  const parseBool = (value, name) => {
+    if (value === undefined) return undefined;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`${name} must be true or false`);
+  };
+  // Dates can be ISO strings or millisecond timestamps
+  const parseDate = (value, name) => {
+    if (value === undefined) return undefined;
+    const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+    if (!Number.isFinite(time)) throw new Error(`${name} must be a date or timestamp`);
+    return time;
+  };
+  
+  const limit = query.limit !== undefined ? parseInt(query.limit) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  
+  return {
+    limit: Math.min(limit, maxLimit),
+    cursor: query.cursor || undefined,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    isRanked: parseBool(query.ranked, 'ranked'),
+    isDraw: parseBool(query.draw, 'draw'),
+    lobbyId: query.lobby ? query.lobby.toUpperCase() : undefined,
+    playerId: query.player || undefined
+  };
+}
+
+// Match lists stay plain arrays; the cursor for the next page (if any) is
+// in the X-Next-Cursor header, to pass back as ?cursor=
+function sendMatchPage(res, { matches, nextCursor }) {
+  if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+  res.json(matches);
+}
+
+app.get('/api/matches', async (req, res) => {
+  try {
+    sendMatchPage(res, db.queryMatches(parseMatchQuery(req.query)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/matches/:playerId', async (req, res) => {
+  try {
+    sendMatchPage(res, db.queryMatches({ ...parseMatchQuery(req.query), playerId: req.params.playerId }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/seasons', (req, res) => {
+  res.json({ current: db.getCurrentSeason(), seasons: db.getSeasons() });
+});
+
+app.get('/api/seasons/:id/leaderboard', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const leaderboard = db.getSeasonLeaderboard(parseInt(req.params.id), limit);
+  if (!leaderboard) {
+    return res.status(404).json({ error: 'Season not found' });
+  }
+  res.json(leaderboard);
+});
+
+// ===========================================
+// ADMIN API
+// ===========================================
+// Authenticate with an X-Admin-Key header or a session token from a user
+// with an admin role. Each route needs one permission (see config.js).
+
+// Role IDs of a guild member, for role-based admin permissions
+async function getMemberRoleIds(odiscordId) {
+  if (!discordClient.isReady()) return [];
+  
+  const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
+  if (!guild) return [];
+  
+  const member = await guild.members.fetch(odiscordId).catch(() => null);
+  return member ? Array.from(member.roles.cache.keys()) : [];
+}
+
+const requirePermission = auth.createAdminGuard(getMemberRoleIds);
+
+// Admin backup endpoint - download all data
+// GET /api/admin/backup (permission: backup)
+app.get('/api/admin/backup', requirePermission('backup'), async (req, res) => {
+  const backup = {
+    exportedAt: new Date().toISOString(),
+    players: await db.getAllPlayers(),
+    matches: db.getAllMatches(),
+    links: db.getAllMinecraftLinks(),
+    schemaVersion: db.getSchemaVersion()
+  };
+  
+  res.setHeader('Content-Disposition', 'attachment; filename=counterpush-backup.json');
+  res.setHeader('Content-Type', 'application/json');
+  res.json(backup);
+});
+
+// Admin migrate endpoint - import data from JSON
+// POST /api/admin/migrate (permission: import)
+// Body: { players: {...}, matches: [...], links: {...} }
+app.post(MIGRATE_PATH, requirePermission('import'), largeJsonParser, async (req, res) => {
+  const { players, matches, links } = req.body || {};
+  const invalid = db.validateMigrationData(players, matches, links);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const summary = db.migrateFromJSON(players, matches, links);
+    db.logAudit('migrate', { actor: req.admin, details: summary });
+    res.json({ success: true, message: 'Migration complete', ...summary });
+  } catch (error) {
+    console.error('Migration error:', error);
+    res.status(500).json({ error: 'Migration failed', details: error.message });
+  }
+});
+
+// Admin CSV import endpoint - import stats from Player_Stats.csv format
+// POST /api/admin/import-csv (permission: import)
+// Body: CSV content or JSON array of rows
+app.post(IMPORT_CSV_PATH, requirePermission('import'), largeJsonParser, async (req, res) => {
+  try {
+    const { rows } = req.body; // Expecting JSON array of parsed CSV rows
+    
     if (!rows || !Array.isArray(rows)) {
       return res.status(400).json({ error: 'Expected { rows: [...] } with CSV data' });
     }
@@ -1087,8 +2684,9 @@ app.post('/api/admin/import-csv', async (req, res) => {
     let imported = 0;
     let skipped = 0;
     const notLinked = [];
+    const rankChanges = [];
     
-    Object.entries(playerData).forEach(([mcUsername, categories]) => {
+    db.transaction(() => Object.entries(playerData).forEach(([mcUsername, categories]) => {
       const allStats = categories['All Stats'];
       if (!allStats) {
         skipped++;
@@ -1147,11 +2745,14 @@ app.post('/api/admin/import-csv', async (req, res) => {
         importedFrom: 'csv',
         importedAt: new Date().toISOString()
       });
+      const rankChange = db.recordEloChange(discordId, existingPlayer.elo, elo, 'import', { by: req.admin.id });
+      if (rankChange) rankChanges.push(rankChange);
       
       imported++;
-    });
+    }));
     
     console.log(`[ADMIN] CSV Import: ${imported} players imported, ${skipped} skipped, ${notLinked.length} not linked`);
+    db.logAudit('import-csv', { actor: req.admin, details: { imported, skipped, notLinked } });
     
     res.json({ 
       success: true, 
@@ -1160,6 +2761,8 @@ app.post('/api/admin/import-csv', async (req, res) => {
       notLinked,
       message: `Imported ${imported} players`
     });
+
+    await announceRankChanges(rankChanges, { announce: false });
     
   } catch (error) {
     console.error('CSV Import error:', error);
@@ -1168,51 +2771,87 @@ app.post('/api/admin/import-csv', async (req, res) => {
 });
 
 // Admin reset endpoint - reset all ELO and stats
-// Access: /api/admin/reset?key=YOUR_SECRET_KEY&confirm=yes
-app.get('/api/admin/reset', async (req, res) => {
-  const secretKey = req.query.key;
-  const confirm = req.query.confirm;
-  
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
-  if (confirm !== 'yes') {
+// POST /api/admin/reset (permission: reset)
+// Body: { confirm: 'RESET' }
+app.post('/api/admin/reset', requirePermission('reset'), async (req, res) => {
+  if (req.body?.confirm !== 'RESET') {
     return res.status(400).json({ 
-      error: 'Please add &confirm=yes to confirm reset',
-      warning: 'This will reset ALL player ELO and stats!',
-      url: '/api/admin/reset?key=counterpush-backup-2024&confirm=yes'
+      error: 'Send { "confirm": "RESET" } to confirm reset',
+      warning: 'This will reset ALL player ELO and stats!'
     });
   }
   
-  // Reset all players
-  const players = db.getAllPlayers();
+  // Reset players and clear matches in one go
   let resetCount = 0;
+  const rankChanges = [];
+  db.transaction(() => {
+    // Reset all players
+    const players = db.getAllPlayers();
   
-  for (const player of players) {
-    db.updatePlayer(player.odiscordId, {
-      elo: 500, // Reset to 500 ELO
-      wins: 0,
-      losses: 0,
-      gamesPlayed: 0,
-      totalKills: 0,
-      totalDeaths: 0,
-      totalAssists: 0,
-      totalDamage: 0,
-      totalHealing: 0,
-      classStats: {
-        Tank: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Brawler: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Sniper: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Trickster: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
-        Support: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 }
+    for (const player of players) {
+      const oldRank = db.getRank(player.elo);
+      const newRank = db.getRank(500);
+      if (oldRank !== newRank) {
+        rankChanges.push({
+          odiscordId: player.odiscordId,
+          username: player.username,
+          oldRank,
+          newRank,
+          direction: CONFIG.RANKS[newRank] > CONFIG.RANKS[oldRank] ? 'promotion' : 'demotion',
+          oldElo: player.elo,
+          newElo: 500,
+          reason: 'admin',
+          details: { by: req.admin.id, reset: true },
+          timestamp: Date.now()
+        });
       }
-    });
-    resetCount++;
-  }
+
+      db.updatePlayer(player.odiscordId, {
+        elo: 500, // Reset to 500 ELO
+        ratingDeviation: CONFIG.GLICKO.INITIAL_RD,
+        volatility: CONFIG.GLICKO.INITIAL_VOLATILITY,
+        peakElo: 500,
+        peakRank: db.getRank(500),
+        peakAt: null,
+        rankShield: null,
+        rankHistory: [],
+        seasonStats: null,
+        achievements: {},
+        lastRankedMatchAt: null,
+        lastDecayAt: null,
+        decayWarnedAt: null,
+        currentStreak: 0,
+        longestWinStreak: 0,
+        longestLossStreak: 0,
+        wins: 0,
+        losses: 0,
+        gamesPlayed: 0,
+        totalKills: 0,
+        totalDeaths: 0,
+        totalAssists: 0,
+        totalDamage: 0,
+        totalHealing: 0,
+        classStats: {
+          Tank: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
+          Brawler: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
+          Sniper: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
+          Trickster: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 },
+          Support: { kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 }
+        }
+      });
+      resetCount++;
+    }
   
-  // Clear matches
-  db.clearAllMatches();
+    // Clear matches and the rating history built from them
+    db.clearAllMatches();
+    db.clearEloHistory();
+    
+    db.logAudit('reset', {
+      actor: req.admin,
+      reason: req.body.reason || null,
+      details: { playersReset: resetCount }
+    });
+  });
   
   console.log(`[ADMIN] Reset ${resetCount} players and cleared all matches`);
   
@@ -1220,33 +2859,30 @@ app.get('/api/admin/reset', async (req, res) => {
     success: true, 
     message: `Reset ${resetCount} players to 500 ELO and cleared all matches`
   });
+
+  // The reset isn't a rank change anyone earned, so swap roles quietly
+  await announceRankChanges(rankChanges, { announce: false });
 });
 
 // Admin endpoint to get ALL matches
-// Access: /api/admin/matches?key=YOUR_SECRET_KEY
-app.get('/api/admin/matches', async (req, res) => {
-  const secretKey = req.query.key;
-  
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
+// GET /api/admin/matches (permission: stats:read)
+// Same filters as /api/matches, up to 1000 per page
+app.get('/api/admin/matches', requirePermission('stats:read'), async (req, res) => {
+  try {
+    const { matches, nextCursor } = db.queryMatches(parseMatchQuery(req.query, 1000));
+    res.json({
+      count: matches.length,
+      matches: matches,
+      nextCursor
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-  
-  const matches = db.getRecentMatches(10000); // Get up to 10,000 matches
-  res.json({
-    count: matches.length,
-    matches: matches
-  });
 });
 
 // Admin endpoint to get ALL players
-// Access: /api/admin/players?key=YOUR_SECRET_KEY
-app.get('/api/admin/players', async (req, res) => {
-  const secretKey = req.query.key;
-  
-  if (secretKey !== 'counterpush-backup-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
+// GET /api/admin/players (permission: stats:read)
+app.get('/api/admin/players', requirePermission('stats:read'), async (req, res) => {
   const players = db.getAllPlayers();
   res.json({
     count: players.length,
@@ -1254,6 +2890,87 @@ app.get('/api/admin/players', async (req, res) => {
   });
 });
 
+// Audit log of moderation and admin actions
+// GET /api/admin/audit?action=&actor=&target=&from=&to=&cursor=&limit= (permission: audit:read)
+app.get('/api/admin/audit', requirePermission('audit:read'), (req, res) => {
+  try {
+    // Reuse the match query parser for limit/cursor/from/to
+    const { limit, cursor, from, to } = parseMatchQuery(req.query, 500);
+    res.json(db.queryAuditLog({
+      action: req.query.action,
+      actorId: req.query.actor,
+      targetId: req.query.target,
+      from,
+      to,
+      cursor,
+      limit
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Close the current season, archive standings and soft-reset ELO
+// POST /api/admin/seasons/close (permission: seasons:manage)
+// Body: { name?: next season's name, compression?: 0-1, reason? }
+app.post('/api/admin/seasons/close', requirePermission('seasons:manage'), async (req, res) => {
+  const { name, compression, reason } = req.body || {};
+  
+  let result;
+  try {
+    result = db.transaction(() => {
+      const result = db.closeSeason({ name, compression });
+      db.logAudit('close-season', {
+        actor: req.admin,
+        reason: reason || null,
+        details: {
+          closedSeasonId: result.closed.id,
+          nextSeasonId: result.next.id,
+          compression: compression ?? CONFIG.SEASON_RESET_COMPRESSION,
+          rankChanges: result.rankChanges.length
+        }
+      });
+      return result;
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  io.emit('seasonClosed', { closed: result.closed, next: result.next });
+  res.json({ success: true, closed: result.closed, next: result.next, rankChanges: result.rankChanges.length });
+  
+  // Swap Discord rank roles for everyone the reset moved to a new tier
+  await announceRankChanges(result.rankChanges, { announce: false });
+});
+
+// POST /api/admin/ratings/replay (permission: players:write)
+// Recompute every rating from match history.
+// Body: { engine?: 'elo' | 'glicko2', dryRun?: boolean, reason? }
+app.post('/api/admin/ratings/replay', requirePermission('players:write'), async (req, res) => {
+  const { engine = CONFIG.RATING_ENGINE, dryRun = false, reason } = req.body || {};
+
+  let changes;
+  try {
+    changes = db.transaction(() => {
+      const changes = db.replayRatings({ engine, dryRun: !!dryRun });
+      if (!dryRun) {
+        db.logAudit('replay-ratings', {
+          actor: req.admin,
+          reason: reason || null,
+          details: { engine, players: changes.length, changed: changes.filter(c => c.oldElo !== c.newElo).length }
+        });
+      }
+      return changes;
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.json({ success: true, engine, dryRun: !!dryRun, changes });
+
+  await announceRankChanges(changes.map(change => change.rankChange).filter(Boolean), { announce: false });
+});
+
 app.get('/api/lobby/:code', (req, res) => {
   const lobby = getLobby(req.params.code);
   if (!lobby) {
@@ -1267,7 +2984,7 @@ app.get('/api/lobbies', (req, res) => {
   res.json(publicLobbies);
 });
 
-app.get('/api/session/:odiscordId', async (req, res) => {
+app.get('/api/session/:odiscordId', auth.requireSelf('odiscordId'), async (req, res) => {
   const session = db.getUserSession(req.params.odiscordId);
   if (session) {
     const lobby = getLobby(session.lobbyId);
@@ -1564,15 +3281,18 @@ app.get('/api/generate-winner-image', async (req, res) => {
 });
 
 // Store for pending link codes: code -> { discordId, username, expiresAt }
-const pendingLinkCodes = new Map();
+const pendingLinkCodes = db.persistentMap('linkCodes');
 
-// Generate link code
-app.post('/api/link/generate-code', (req, res) => {
-  const { discordId, username } = req.body;
-  
-  if (!discordId) {
-    return res.status(400).json({ error: 'Missing discordId' });
+// Codes that expired while the server was down
+for (const [code, data] of pendingLinkCodes) {
+  if (data.expiresAt < Date.now()) {
+    pendingLinkCodes.delete(code);
   }
+}
+
+// Generate link code
+app.post('/api/link/generate-code', auth.requireAuth, (req, res) => {
+  const { odiscordId: discordId, username } = req.user;
   
   // Remove any existing codes for this user
   for (const [code, data] of pendingLinkCodes) {
@@ -1591,7 +3311,7 @@ app.post('/api/link/generate-code', (req, res) => {
 });
 
 // Get pending code for user
-app.get('/api/link/code/:discordId', (req, res) => {
+app.get('/api/link/code/:discordId', auth.requireSelf('discordId'), (req, res) => {
   for (const [code, data] of pendingLinkCodes) {
     if (data.discordId === req.params.discordId && data.expiresAt > Date.now()) {
       return res.json({ code });
@@ -1635,11 +3355,12 @@ app.post('/api/link/verify-code', async (req, res) => {
 });
 
 // Link Minecraft account (direct method - keeping for backwards compatibility)
-app.post('/api/link/minecraft', async (req, res) => {
-  const { discordId, minecraftUsername } = req.body;
+app.post('/api/link/minecraft', auth.requireAuth, async (req, res) => {
+  const discordId = req.user.odiscordId;
+  const { minecraftUsername } = req.body;
   
-  if (!discordId || !minecraftUsername) {
-    return res.status(400).json({ error: 'Missing discordId or minecraftUsername' });
+  if (!minecraftUsername) {
+    return res.status(400).json({ error: 'Missing minecraftUsername' });
   }
   
   // Get UUID from Mojang
@@ -1667,7 +3388,7 @@ app.get('/api/link/minecraft/:discordId', async (req, res) => {
 });
 
 // Unlink Minecraft account
-app.delete('/api/link/minecraft/:discordId', async (req, res) => {
+app.delete('/api/link/minecraft/:discordId', auth.requireSelf('discordId'), async (req, res) => {
   const success = db.unlinkMinecraft(req.params.discordId);
   if (!success) {
     return res.status(404).json({ error: 'No Minecraft account linked' });
@@ -1677,8 +3398,7 @@ app.delete('/api/link/minecraft/:discordId', async (req, res) => {
 
 // Get single match by ID
 app.get('/api/match/:id', (req, res) => {
-  const matches = db.getRecentMatches(10000);
-  const match = matches.find(m => m.id === req.params.id);
+  const match = db.getMatch(req.params.id);
   if (!match) {
     return res.status(404).json({ error: 'Match not found' });
   }
@@ -1686,14 +3406,9 @@ app.get('/api/match/:id', (req, res) => {
 });
 
 // Admin update player
-app.post('/api/admin/update-player', (req, res) => {
-  const secretKey = req.query.key;
-  
-  if (secretKey !== 'counterpush-admin-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
-  const { odiscordId, data } = req.body;
+// POST /api/admin/update-player (permission: players:write)
+app.post('/api/admin/update-player', requirePermission('players:write'), (req, res) => {
+  const { odiscordId, data, reason } = req.body;
   
   if (!odiscordId || !data) {
     return res.status(400).json({ error: 'Missing odiscordId or data' });
@@ -1704,27 +3419,42 @@ app.post('/api/admin/update-player', (req, res) => {
     return res.status(404).json({ error: 'Player not found' });
   }
   
-  db.updatePlayer(odiscordId, data);
+  // Only the fields being changed go in the audit entry
+  const before = {};
+  for (const key of Object.keys(data)) {
+    before[key] = player[key] ?? null;
+  }
+  
+  const rankChange = db.transaction(() => {
+    db.updatePlayer(odiscordId, data);
+    db.logAudit('update-player', {
+      actor: req.admin,
+      target: { id: odiscordId, name: player.username },
+      before,
+      after: data,
+      reason: reason || null
+    });
+    return data.elo !== undefined ? db.recordEloChange(odiscordId, player.elo, data.elo, 'admin', { by: req.admin.id }) : null;
+  });
   
   // Update rank role if ELO changed
-  if (data.elo !== undefined) {
-    const newRank = db.getRank(data.elo);
-    updatePlayerRankRole(odiscordId, newRank);
+  if (rankChange) {
+    announceRankChanges([rankChange], { announce: false });
   }
   
   res.json({ success: true });
 });
 
 // Admin close all lobbies
-app.get('/api/admin/close-lobbies', (req, res) => {
-  const secretKey = req.query.key;
-  
-  if (secretKey !== 'counterpush-admin-2024') {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
+// DELETE /api/admin/lobbies (permission: lobbies:manage)
+app.delete('/api/admin/lobbies', requirePermission('lobbies:manage'), (req, res) => {
   const count = lobbies.size;
   
+  db.logAudit('close-lobbies', {
+    actor: req.admin,
+    details: { lobbies: Array.from(lobbies.keys()) }
+  });
+  
   for (const [code, lobby] of lobbies) {
     io.to(code).emit('lobbyClosed', { reason: 'Closed by admin' });
     deleteLobby(code);
@@ -1740,14 +3470,18 @@ app.get('/api/admin/close-lobbies', (req, res) => {
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  socket.on('checkSession', async ({ odiscordId }) => {
-    const session = db.getUserSession(odiscordId);
+  socket.on('checkSession', async () => {
+    if (!socket.odiscordId) {
+      socket.emit('noSession');
+      return;
+    }
+    
+    const session = db.getUserSession(socket.odiscordId);
     if (session) {
       const lobby = getLobby(session.lobbyId);
       if (lobby) {
         socket.join(session.lobbyId);
         socket.lobbyId = session.lobbyId;
-        socket.odiscordId = odiscordId;
         socket.emit('rejoinedLobby', lobby);
         return;
       }
@@ -1755,7 +3489,13 @@ io.on('connection', (socket) => {
     socket.emit('noSession');
   });
 
-  socket.on('createLobby', async ({ userData, maxPlayers, isPublic }) => {
+  socket.on('createLobby', async ({ maxPlayers, isPublic, teamMode, balanceClasses, pickOrder, captainMode, classPick, matchFormat, firstTo }) => {
+    if (!socket.user) {
+      socket.emit('error', { message: 'You must be logged in to create a lobby' });
+      return;
+    }
+    const userData = socket.user;
+    
     console.log('createLobby called:', { userData: userData.username, maxPlayers, isPublic });
     
     // Check if player has a global timeout
@@ -1768,6 +3508,11 @@ io.on('connection', (socket) => {
       globalTimeouts.delete(userData.odiscordId);
     }
     
+    if (isQueued(userData.odiscordId)) {
+      socket.emit('error', { message: 'Leave the matchmaking queue first' });
+      return;
+    }
+    
     // Check if user is already hosting a lobby
     for (const [code, existingLobby] of lobbies) {
       if (existingLobby.host.odiscordId === userData.odiscordId) {
@@ -1803,6 +3548,24 @@ io.on('connection', (socket) => {
     }
     
     const lobby = await createLobby(userData.odiscordId, userData, maxPlayers || CONFIG.MAX_PLAYERS, isPublic, isRanked);
+    if (TEAM_MODES.includes(teamMode)) {
+      lobby.teamMode = teamMode;
+    }
+    lobby.balanceClasses = !!balanceClasses;
+    if (Object.hasOwn(CONFIG.DRAFT.PICK_ORDERS, pickOrder)) {
+      lobby.pickOrder = pickOrder;
+    }
+    if (CONFIG.CAPTAINS.MODES.includes(captainMode)) {
+      lobby.captainMode = captainMode;
+    }
+    lobby.classPick = !!classPick;
+    if (matchFormat) {
+      try {
+        Object.assign(lobby, parseMatchFormat(matchFormat, firstTo));
+      } catch (error) {
+        socket.emit('error', { message: `${error.message}. Using ${formatLabel(lobby)} instead.` });
+      }
+    }
     
     // Create lobby VC if public
     if (isPublic) {
@@ -1817,7 +3580,6 @@ io.on('connection', (socket) => {
     
     socket.join(lobby.id);
     socket.lobbyId = lobby.id;
-    socket.odiscordId = userData.odiscordId;
     socket.emit('lobbyCreated', lobby);
     
     // Broadcast to lobby browser
@@ -1826,8 +3588,14 @@ io.on('connection', (socket) => {
     console.log('Lobby created:', lobby.id);
   });
 
-  socket.on('joinLobby', async ({ code, userData }) => {
-    const lobby = getLobby(code.toUpperCase());
+  socket.on('joinLobby', async ({ code }) => {
+    if (!socket.user) {
+      socket.emit('error', { message: 'You must be logged in to join a lobby' });
+      return;
+    }
+    const userData = socket.user;
+    
+    const lobby = getLobby(code?.toUpperCase());
     
     if (!lobby) {
       socket.emit('error', { message: 'Lobby not found' });
@@ -1850,7 +3618,6 @@ io.on('connection', (socket) => {
     if (existingPlayer) {
       socket.join(lobby.id);
       socket.lobbyId = lobby.id;
-      socket.odiscordId = userData.odiscordId;
       socket.emit('lobbyJoined', lobby);
       // Move player from main VC to lobby VC if applicable
       if (lobby.lobbyVCId) {
@@ -1859,6 +3626,16 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (lobby.isQueue) {
+      socket.emit('error', { message: 'This lobby is only for players matched by the queue' });
+      return;
+    }
+
+    if (isQueued(userData.odiscordId)) {
+      socket.emit('error', { message: 'Leave the matchmaking queue first' });
+      return;
+    }
+    
     // New players can't join if game already started
     if (lobby.phase !== 'waiting') {
       socket.emit('error', { message: 'Game already in progress' });
@@ -1877,7 +3654,6 @@ io.on('connection', (socket) => {
     
     socket.join(lobby.id);
     socket.lobbyId = lobby.id;
-    socket.odiscordId = userData.odiscordId;
 
     // Move player from main VC to lobby VC if applicable
     if (lobby.lobbyVCId) {
@@ -1905,7 +3681,309 @@ io.on('connection', (socket) => {
     socket.emit('vcStatus', { playersInVC, allInVC });
   });
 
-  socket.on('startCaptainSelect', async ({ lobbyId }) => {
+  socket.on('startCaptainSelect', async ({ lobbyId }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can start the game' });
+      return;
+    }
+
+    if (lobby.players.length < 4) {
+      socket.emit('error', { message: 'Need at least 4 players' });
+      return;
+    }
+
+    // Check if all players are in VC for public lobbies
+    if (lobby.isPublic && lobby.lobbyVCId) {
+      const allInVC = await areAllPlayersInLobbyVC(lobby);
+      if (!allInVC) {
+        socket.emit('error', { message: 'All players must be in the voice channel to start' });
+        return;
+      }
+    }
+
+    // Check if we need to purge players
+    if (lobby.players.length > lobby.maxPlayers) {
+      lobby.phase = 'purging';
+      lobby.purgeData = {
+        originalCount: lobby.players.length,
+        targetCount: lobby.maxPlayers,
+        eliminated: []
+      };
+      io.to(lobby.id).emit('lobbyUpdate', lobby);
+      io.to(lobby.id).emit('purgeStart', { 
+        totalPlayers: lobby.players.length, 
+        targetPlayers: lobby.maxPlayers,
+        toEliminate: lobby.players.length - lobby.maxPlayers
+      });
+      
+      // Run purge after countdown (5 seconds for dramatic effect)
+      setTimeout(() => {
+        runPurge(lobby);
+      }, 5000);
+      
+      return;
+    }
+
+    beginTeamSelection(lobby);
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+    io.emit('lobbiesUpdate', getPublicLobbies());
+    
+    console.log(`Lobby ${lobbyId} started ${lobby.phase}`);
+  });
+
+  socket.on('selectCaptain', ({ lobbyId, odiscordId }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can select captains' });
+      return;
+    }
+
+    if (lobby.phase !== 'captain-select') {
+      socket.emit('error', { message: 'Not in captain select phase' });
+      return;
+    }
+
+    if (lobby.captainMode !== 'host') {
+      socket.emit('error', { message: `Captains are chosen by ${lobby.captainMode} in this lobby` });
+      return;
+    }
+
+    const player = lobby.players.find(p => p.odiscordId === odiscordId);
+    if (!player) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    if (lobby.captains.some(c => c.odiscordId === odiscordId)) {
+      socket.emit('error', { message: 'Player is already a captain' });
+      return;
+    }
+
+    if (lobby.captains.length === 0) {
+      lobby.captains.push(player);
+      lobby.teams.team1.push(player);
+    } else {
+      setCaptains(lobby, [lobby.captains[0], player]);
+    }
+
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('removeCaptain', ({ lobbyId, odiscordId }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can remove captains' });
+      return;
+    }
+
+    if (lobby.phase !== 'captain-select') {
+      socket.emit('error', { message: 'Can only remove captains during captain select' });
+      return;
+    }
+
+    const captainIndex = lobby.captains.findIndex(c => c.odiscordId === odiscordId);
+    if (captainIndex === -1) {
+      socket.emit('error', { message: 'Player is not a captain' });
+      return;
+    }
+
+    // Remove from captains
+    lobby.captains.splice(captainIndex, 1);
+    
+    // Remove from teams
+    lobby.teams.team1 = lobby.teams.team1.filter(p => p.odiscordId !== odiscordId);
+    lobby.teams.team2 = lobby.teams.team2.filter(p => p.odiscordId !== odiscordId);
+
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('setTeamMode', ({ lobbyId, teamMode, balanceClasses }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can change how teams are picked' });
+      return;
+    }
+
+    if (!TEAM_MODES.includes(teamMode)) {
+      socket.emit('error', { message: `Team mode must be one of: ${TEAM_MODES.join(', ')}` });
+      return;
+    }
+
+    if (!['waiting', 'captain-select', 'balancing'].includes(lobby.phase)) {
+      socket.emit('error', { message: 'Teams have already been picked' });
+      return;
+    }
+
+    lobby.teamMode = teamMode;
+    if (balanceClasses !== undefined) {
+      lobby.balanceClasses = !!balanceClasses;
+    }
+    
+    // Switching mode during team selection starts it over in the new mode
+    if (lobby.phase !== 'waiting') {
+      lobby.captains = [];
+      lobby.teams = { team1: [], team2: [] };
+      beginTeamSelection(lobby);
+    }
+
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+    io.emit('lobbiesUpdate', getPublicLobbies());
+  });
+
+  socket.on('setCaptainMode', ({ lobbyId, captainMode }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can change how captains are chosen' });
+      return;
+    }
+
+    if (!CONFIG.CAPTAINS.MODES.includes(captainMode)) {
+      socket.emit('error', { message: `Captain mode must be one of: ${CONFIG.CAPTAINS.MODES.join(', ')}` });
+      return;
+    }
+
+    if (!['waiting', 'captain-select'].includes(lobby.phase)) {
+      socket.emit('error', { message: 'Captains have already been chosen' });
+      return;
+    }
+
+    lobby.captainMode = captainMode;
+    // Changing mode during captain select starts it over in the new mode
+    if (lobby.phase === 'captain-select') {
+      beginCaptainSelection(lobby);
+    }
+
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('voteCaptain', ({ lobbyId, odiscordId }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (lobby.phase !== 'captain-select' || !lobby.captainVote) {
+      socket.emit('error', { message: 'No captain vote in progress' });
+      return;
+    }
+
+    if (!lobby.players.some(p => p.odiscordId === socket.odiscordId)) {
+      socket.emit('error', { message: 'Only players in the lobby can vote' });
+      return;
+    }
+
+    if (!lobby.players.some(p => p.odiscordId === odiscordId)) {
+      socket.emit('error', { message: 'Player not found' });
+      return;
+    }
+
+    lobby.captainVote.votes[socket.odiscordId] = odiscordId;
+    io.to(lobby.id).emit('captainVoteUpdate', {
+      tally: tallyCaptainVotes(lobby),
+      voted: Object.keys(lobby.captainVote.votes).length,
+      total: lobby.players.length
+    });
+
+    // Everyone has voted, no need to wait for the timer
+    if (Object.keys(lobby.captainVote.votes).length >= lobby.players.length) {
+      endCaptainVote(lobby.id);
+    } else {
+      io.to(lobby.id).emit('lobbyUpdate', lobby);
+    }
+  });
+
+  socket.on('coinFlipChoice', ({ lobbyId, choice, color }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (lobby.phase !== 'coin-flip') {
+      socket.emit('error', { message: 'No coin flip in progress' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.coinFlip.winnerId) {
+      socket.emit('error', { message: 'Only the coin flip winner can choose' });
+      return;
+    }
+
+    if (choice !== 'first-pick' && choice !== 'side') {
+      socket.emit('error', { message: 'Choose first-pick or side' });
+      return;
+    }
+
+    if (choice === 'side' && !CONFIG.TEAM_COLORS[color]) {
+      socket.emit('error', { message: 'Invalid team color' });
+      return;
+    }
+
+    resolveCoinFlip(lobby.id, choice, choice === 'side' ? Number(color) : null);
+  });
+
+  socket.on('setPickOrder', ({ lobbyId, pickOrder }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can change the pick order' });
+      return;
+    }
+
+    if (!Object.hasOwn(CONFIG.DRAFT.PICK_ORDERS, pickOrder)) {
+      socket.emit('error', { message: `Pick order must be one of: ${Object.keys(CONFIG.DRAFT.PICK_ORDERS).join(', ')}` });
+      return;
+    }
+
+    if (!['waiting', 'captain-select'].includes(lobby.phase)) {
+      socket.emit('error', { message: 'The draft has already started' });
+      return;
+    }
+
+    lobby.pickOrder = pickOrder;
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('banMap', async ({ lobbyId, map }) => {
     const lobby = getLobby(lobbyId);
     
     if (!lobby) {
@@ -1913,174 +3991,56 @@ io.on('connection', (socket) => {
       return;
     }
 
-    if (socket.odiscordId !== lobby.host.odiscordId) {
-      socket.emit('error', { message: 'Only the host can start the game' });
+    if (lobby.phase !== 'map-veto') {
+      socket.emit('error', { message: 'Not in map veto phase' });
       return;
     }
 
-    if (lobby.players.length < 4) {
-      socket.emit('error', { message: 'Need at least 4 players' });
+    const captain = lobby.teams[lobby.mapVeto.turn][0];
+    if (socket.odiscordId !== captain.odiscordId) {
+      socket.emit('error', { message: 'Not your turn to ban' });
       return;
     }
 
-    // Check if all players are in VC for public lobbies
-    if (lobby.isPublic && lobby.lobbyVCId) {
-      const allInVC = await areAllPlayersInLobbyVC(lobby);
-      if (!allInVC) {
-        socket.emit('error', { message: 'All players must be in the voice channel to start' });
-        return;
-      }
-    }
-
-    // Check if we need to purge players
-    if (lobby.players.length > lobby.maxPlayers) {
-      lobby.phase = 'purging';
-      lobby.purgeData = {
-        originalCount: lobby.players.length,
-        targetCount: lobby.maxPlayers,
-        eliminated: []
-      };
-      io.to(lobby.id).emit('lobbyUpdate', lobby);
-      io.to(lobby.id).emit('purgeStart', { 
-        totalPlayers: lobby.players.length, 
-        targetPlayers: lobby.maxPlayers,
-        toEliminate: lobby.players.length - lobby.maxPlayers
-      });
-      
-      // Run purge after countdown (5 seconds for dramatic effect)
-      setTimeout(() => {
-        runPurge(lobby);
-      }, 5000);
-      
+    if (!lobby.mapVeto.remaining.includes(map)) {
+      socket.emit('error', { message: 'Map is not in the pool or already banned' });
       return;
     }
 
-    lobby.phase = 'captain-select';
-    io.to(lobby.id).emit('lobbyUpdate', lobby);
-    io.emit('lobbiesUpdate', getPublicLobbies());
-    
-    console.log(`Lobby ${lobbyId} started captain select`);
+    await banMap(lobby, map);
   });
 
-  // Purge function - randomly eliminates players
-  async function runPurge(lobby) {
-    const toEliminate = lobby.players.length - lobby.maxPlayers;
-    const eliminated = [];
-    
-    console.log(`[PURGE] Starting purge in lobby ${lobby.id}`);
-    console.log(`[PURGE] Players: ${lobby.players.length}, Max: ${lobby.maxPlayers}, To eliminate: ${toEliminate}`);
-    
-    // Get immune players (purge immunity from being purged before)
-    const immunePlayers = lobby.players.filter(p => purgeImmunity.has(p.odiscordId));
-    
-    // Get whitelisted players
-    const whitelistedPlayers = lobby.players.filter(p => 
-      lobby.whitelist && lobby.whitelist.includes(p.odiscordId)
-    );
-    
-    // Players that CAN be eliminated (not host, not immune, not whitelisted)
-    const eliminatablePlayers = lobby.players.filter(p => 
-      p.odiscordId !== lobby.host.odiscordId && 
-      !purgeImmunity.has(p.odiscordId) &&
-      !(lobby.whitelist && lobby.whitelist.includes(p.odiscordId))
-    );
-    
-    console.log(`[PURGE] Host: ${lobby.host.username}`);
-    console.log(`[PURGE] Immune players: ${immunePlayers.map(p => p.username).join(', ') || 'none'}`);
-    console.log(`[PURGE] Whitelisted: ${whitelistedPlayers.map(p => p.username).join(', ') || 'none'}`);
-    console.log(`[PURGE] Eliminatable: ${eliminatablePlayers.map(p => p.username).join(', ') || 'none'}`);
-    
-    // Clear purge immunity for players who used it (they survived because of it)
-    immunePlayers.forEach(p => {
-      purgeImmunity.delete(p.odiscordId);
-      console.log(`[PURGE] ${p.username} used their purge immunity`);
-    });
-    
-    // Notify immune players
-    const immuneNotifications = [];
-    immunePlayers.forEach(p => {
-      immuneNotifications.push({ odiscordId: p.odiscordId, username: p.username, type: 'purge' });
-    });
-    whitelistedPlayers.filter(p => !immunePlayers.some(ip => ip.odiscordId === p.odiscordId)).forEach(p => {
-      immuneNotifications.push({ odiscordId: p.odiscordId, username: p.username, type: 'whitelist' });
-    });
+  socket.on('setMatchFormat', ({ lobbyId, matchFormat, firstTo }) => {
+    const lobby = getLobby(lobbyId);
     
-    if (immuneNotifications.length > 0) {
-      io.to(lobby.id).emit('immunityUsed', { players: immuneNotifications });
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
     }
-    
-    // Eliminate random players
-    for (let i = 0; i < toEliminate; i++) {
-      if (eliminatablePlayers.length === 0) {
-        console.log(`[PURGE] No more eliminatable players!`);
-        break;
-      }
-      
-      const randomIndex = Math.floor(Math.random() * eliminatablePlayers.length);
-      const player = eliminatablePlayers.splice(randomIndex, 1)[0];
-      eliminated.push(player);
-      
-      // Remove from lobby
-      lobby.players = lobby.players.filter(p => p.odiscordId !== player.odiscordId);
-      db.clearUserSession(player.odiscordId);
-      
-      // Grant purge immunity for next lobby
-      purgeImmunity.add(player.odiscordId);
-      console.log(`[PURGE] ${player.username} was purged and granted immunity for next lobby`);
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can change the match format' });
+      return;
     }
-    
-    lobby.purgeData.eliminated = eliminated;
-    console.log(`[PURGE] Eliminated ${eliminated.length} players: ${eliminated.map(p => p.username).join(', ')}`);
-    
-    // Get lobby VC IDs for checking
-    const lobbyVCId = lobby.lobbyVCId;
-    
-    // Send elimination events one by one with delay
-    eliminated.forEach((player, index) => {
-      setTimeout(() => {
-        io.to(lobby.id).emit('playerEliminated', { 
-          player, 
-          index: index + 1, 
-          total: eliminated.length,
-          hasImmunity: true // Let them know they have immunity next time
-        });
-        
-        // Move eliminated player to main VC (only if in lobby VC)
-        movePlayerToMainVC(player.odiscordId, lobbyVCId);
-      }, index * 1000); // 1 second between each elimination
-    });
-    
-    // After all eliminations, transition to captain select
-    setTimeout(() => {
-      lobby.phase = 'captain-select';
-      delete lobby.purgeData;
-      io.to(lobby.id).emit('purgeComplete', { survivors: lobby.players });
-      io.to(lobby.id).emit('lobbyUpdate', lobby);
-      io.emit('lobbiesUpdate', getPublicLobbies());
-      console.log(`Lobby ${lobby.id} purge complete, ${eliminated.length} eliminated`);
-    }, eliminated.length * 1000 + 2000); // Wait for all eliminations + 2 seconds
-  }
-  
-  // Helper to move a single player to main VC (only if in specific VC)
-  async function movePlayerToMainVC(odiscordId, fromVCId) {
-    if (!discordClient.isReady()) return;
-    
+
+    // The map veto picks one map per possible round, so the format is
+    // fixed once it starts
+    if (['map-veto', 'class-pick', 'playing', 'finished'].includes(lobby.phase)) {
+      socket.emit('error', { message: 'The match format can only be changed before the map veto' });
+      return;
+    }
+
     try {
-      const guild = discordClient.guilds.cache.get(CONFIG.GUILD_ID);
-      if (!guild) return;
-      
-      const member = await guild.members.fetch(odiscordId).catch(() => null);
-      // Only move if they're in the lobby VC
-      if (member && member.voice?.channelId === fromVCId) {
-        await member.voice.setChannel(CONFIG.MAIN_VC_ID).catch(e => console.error('Move error:', e));
-        console.log(`Moved purged player ${member.user.username} to main VC`);
-      }
-    } catch (e) {
-      console.error('Error moving purged player to main VC:', e);
+      Object.assign(lobby, parseMatchFormat(matchFormat, firstTo));
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+      return;
     }
-  }
 
-  socket.on('selectCaptain', ({ lobbyId, odiscordId }) => {
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('setClassPick', ({ lobbyId, enabled }) => {
     const lobby = getLobby(lobbyId);
     
     if (!lobby) {
@@ -2089,43 +4049,55 @@ io.on('connection', (socket) => {
     }
 
     if (socket.odiscordId !== lobby.host.odiscordId) {
-      socket.emit('error', { message: 'Only the host can select captains' });
+      socket.emit('error', { message: 'Only the host can change the class pick phase' });
       return;
     }
 
-    if (lobby.phase !== 'captain-select') {
-      socket.emit('error', { message: 'Not in captain select phase' });
+    if (['class-pick', 'playing', 'finished'].includes(lobby.phase)) {
+      socket.emit('error', { message: 'Teams have already been picked' });
       return;
     }
 
-    const player = lobby.players.find(p => p.odiscordId === odiscordId);
-    if (!player) {
-      socket.emit('error', { message: 'Player not found' });
+    lobby.classPick = !!enabled;
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('declareClass', ({ lobbyId, className }) => {
+    const lobby = getLobby(lobbyId);
+    
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
       return;
     }
 
-    if (lobby.captains.some(c => c.odiscordId === odiscordId)) {
-      socket.emit('error', { message: 'Player is already a captain' });
+    if (lobby.phase !== 'class-pick') {
+      socket.emit('error', { message: 'Not in class pick phase' });
       return;
     }
 
-    lobby.captains.push(player);
+    const name = Object.values(CONFIG.CLASSES)
+      .find(c => c.toLowerCase() === String(className).toLowerCase());
+    if (!name) {
+      socket.emit('error', { message: `Class must be one of: ${Object.values(CONFIG.CLASSES).join(', ')}` });
+      return;
+    }
 
-    if (lobby.captains.length === 1) {
-      lobby.teams.team1.push(player);
-    } else if (lobby.captains.length === 2) {
-      lobby.teams.team2.push(player);
-      
-      // Start draft mode
-      lobby.phase = 'drafting';
-      lobby.currentTurn = 'team1';
-      lobby.picksLeft = 1;
+    const problem = checkClassPick(lobby, socket.odiscordId, name);
+    if (problem) {
+      socket.emit('error', { message: problem });
+      return;
     }
 
-    io.to(lobby.id).emit('lobbyUpdate', lobby);
+    declareClass(lobby, socket.odiscordId, name);
   });
 
-  socket.on('removeCaptain', ({ lobbyId, odiscordId }) => {
+  socket.on('getClassPicks', ({ lobbyId }) => {
+    const lobby = getLobby(lobbyId);
+    if (!lobby || lobby.phase !== 'class-pick' || !teamOf(lobby, socket.odiscordId)) return;
+    sendClassPicks(lobby);
+  });
+
+  socket.on('rerollBalancedTeams', ({ lobbyId }) => {
     const lobby = getLobby(lobbyId);
     
     if (!lobby) {
@@ -2134,29 +4106,53 @@ io.on('connection', (socket) => {
     }
 
     if (socket.odiscordId !== lobby.host.odiscordId) {
-      socket.emit('error', { message: 'Only the host can remove captains' });
+      socket.emit('error', { message: 'Only the host can reroll teams' });
       return;
     }
 
-    if (lobby.phase !== 'captain-select') {
-      socket.emit('error', { message: 'Can only remove captains during captain select' });
+    if (lobby.phase !== 'balancing') {
+      socket.emit('error', { message: 'Not in team balancing phase' });
       return;
     }
 
-    const captainIndex = lobby.captains.findIndex(c => c.odiscordId === odiscordId);
-    if (captainIndex === -1) {
-      socket.emit('error', { message: 'Player is not a captain' });
+    const preview = previewBalancedTeams(lobby, lobby.balancePreview);
+    if (!preview) {
+      socket.emit('error', { message: 'No other split is as balanced as this one' });
       return;
     }
 
-    // Remove from captains
-    lobby.captains.splice(captainIndex, 1);
+    lobby.balancePreview = preview;
+    io.to(lobby.id).emit('lobbyUpdate', lobby);
+  });
+
+  socket.on('acceptBalancedTeams', async ({ lobbyId }) => {
+    const lobby = getLobby(lobbyId);
     
-    // Remove from teams
-    lobby.teams.team1 = lobby.teams.team1.filter(p => p.odiscordId !== odiscordId);
-    lobby.teams.team2 = lobby.teams.team2.filter(p => p.odiscordId !== odiscordId);
+    if (!lobby) {
+      socket.emit('error', { message: 'Lobby not found' });
+      return;
+    }
+
+    if (socket.odiscordId !== lobby.host.odiscordId) {
+      socket.emit('error', { message: 'Only the host can accept teams' });
+      return;
+    }
 
+    if (lobby.phase !== 'balancing' || !lobby.balancePreview) {
+      socket.emit('error', { message: 'No team split to accept' });
+      return;
+    }
+
+    const { team1, team2 } = lobby.balancePreview;
+    lobby.teams = { team1, team2 };
+    lobby.captains = [team1[0], team2[0]];
+    lobby.balancePreview = null;
+    
+    await teamsComplete(lobby);
     io.to(lobby.id).emit('lobbyUpdate', lobby);
+    io.emit('lobbiesUpdate', getPublicLobbies());
+    
+    console.log(`Lobby ${lobbyId} accepted balanced teams`);
   });
 
   socket.on('draftPick', async ({ lobbyId, odiscordId }) => {
@@ -2191,64 +4187,10 @@ io.on('connection', (socket) => {
       return;
     }
 
-    lobby.teams[lobby.currentTurn].push(player);
-    lobby.picksLeft--;
-    
-    // Emit draft pick event for sound
-    io.to(lobby.id).emit('draftPick', { player, team: lobby.currentTurn });
-
-    const totalPicked = lobby.teams.team1.length + lobby.teams.team2.length;
-    const playersPerTeam = lobby.maxPlayers / 2;
-
-    if (totalPicked >= lobby.maxPlayers) {
-      await startPlaying(lobby);
-      io.to(lobby.id).emit('lobbyUpdate', lobby);
-    } else {
-      if (lobby.picksLeft === 0) {
-        lobby.currentTurn = lobby.currentTurn === 'team1' ? 'team2' : 'team1';
-        
-        const team1Remaining = playersPerTeam - lobby.teams.team1.length;
-        const team2Remaining = playersPerTeam - lobby.teams.team2.length;
-        const unpickedPlayers = lobby.players.length - totalPicked;
-        
-        if (lobby.currentTurn === 'team1') {
-          lobby.picksLeft = Math.min(2, team1Remaining, unpickedPlayers);
-        } else {
-          lobby.picksLeft = Math.min(2, team2Remaining, unpickedPlayers);
-        }
-        
-        if (lobby.picksLeft === 0) {
-          await startPlaying(lobby);
-          io.to(lobby.id).emit('lobbyUpdate', lobby);
-        } else {
-          io.to(lobby.id).emit('lobbyUpdate', lobby);
-        }
-      } else {
-        io.to(lobby.id).emit('lobbyUpdate', lobby);
-      }
-    }
+    await makeDraftPick(lobby, player);
   });
 
-  async function startPlaying(lobby) {
-    // Create team VCs
-    const teamVCs = await createTeamVoiceChannels(lobby.id);
-    if (teamVCs) {
-      lobby.team1VCId = teamVCs.team1VCId;
-      lobby.team2VCId = teamVCs.team2VCId;
-    }
-    
-    lobby.phase = 'playing';
-    lobby.currentTurn = null;
-    
-    // Move players to team VCs
-    await movePlayersToTeamVCs(lobby);
-    
-    // Delete lobby VC (no longer needed)
-    await deleteVoiceChannel(lobby.lobbyVCId);
-    lobby.lobbyVCId = null;
-  }
-
-  socket.on('addScore', ({ lobbyId, team }) => {
+  socket.on('addScore', ({ lobbyId, team, serverIndex }) => {
     const lobby = getLobby(lobbyId);
     
     if (!lobby) {
@@ -2268,10 +4210,19 @@ io.on('connection', (socket) => {
       return;
     }
 
-    lobby.score[team]++;
+    if (team !== 'team1' && team !== 'team2') {
+      socket.emit('error', { message: 'Invalid team' });
+      return;
+    }
+
+    if (serverIndex !== undefined) {
+      lobby.serverIndex = serverIndex; // Stats are fetched from the last round's server
+    }
+    recordRound(lobby, team, lobby.serverIndex ?? null);
+    io.to(lobby.id).emit('roundRecorded', { round: lobby.rounds[lobby.rounds.length - 1], score: lobby.score });
 
-    if (lobby.score.team1 >= 2 || lobby.score.team2 >= 2) {
-      finishMatch(lobby);
+    if (getMatchWinner(lobby)) {
+      finishMatchOrRestore(lobby, lobby.rounds.length - 1);
     }
 
     io.to(lobby.id).emit('lobbyUpdate', lobby);
@@ -2297,11 +4248,16 @@ io.on('connection', (socket) => {
       return;
     }
 
-    lobby.score[winnerTeam] = 2;
-    lobby.score[winnerTeam === 'team1' ? 'team2' : 'team1'] = 0;
+    if (winnerTeam !== 'team1' && winnerTeam !== 'team2') {
+      socket.emit('error', { message: 'Invalid team' });
+      return;
+    }
+
     lobby.serverIndex = serverIndex; // Store which server was used
+    const roundsBefore = lobby.rounds.length;
+    declareRounds(lobby, winnerTeam, serverIndex);
 
-    await finishMatch(lobby);
+    await finishMatchOrRestore(lobby, roundsBefore);
 
     io.to(lobby.id).emit('lobbyUpdate', lobby);
   });
@@ -2337,10 +4293,12 @@ io.on('connection', (socket) => {
       team1: lobby.teams.team1,
       team2: lobby.teams.team2,
       winner: 'draw',
+      ...matchRecord(lobby),
       score: { team1: 0, team2: 0 },
       winners: [],
       losers: [],
-      isDraw: true
+      isDraw: true,
+      isRanked: !!lobby.isRanked
     };
     
     db.saveMatch(drawResult);
@@ -2371,6 +4329,24 @@ io.on('connection', (socket) => {
     await deleteTeamVoiceChannels(lobby);
   });
 
+  // finishMatch for the socket handlers, which can't let it reject. If it
+  // fails before the result is saved, the rounds from roundsBefore on are
+  // undone and the lobby goes back into play so the host can try again.
+  function finishMatchOrRestore(lobby, roundsBefore) {
+    return finishMatch(lobby).catch(e => {
+      console.error(`Error finishing match in lobby ${lobby.id}:`, e);
+      if (!lobby.eloResults) {
+        for (const round of lobby.rounds.splice(roundsBefore)) {
+          lobby.score[round.winner]--;
+        }
+        lobby.currentMap = mapForRound(lobby, lobby.rounds.length);
+        lobby.phase = 'playing';
+      }
+      io.to(lobby.id).emit('error', { message: 'Failed to finish the match' });
+      io.to(lobby.id).emit('lobbyUpdate', lobby);
+    });
+  }
+
   async function finishMatch(lobby) {
     lobby.phase = 'finished';
 
@@ -2412,109 +4388,122 @@ io.on('connection', (socket) => {
       lobby.team2Color = team2Colors[0];
     }
     
-    // Determine winner based on score (already tracked) or use Minecraft result as fallback
-    const winnerTeam = lobby.score.team1 >= 2 ? 'team1' : 'team2';
+    // Winner by rounds won (addScore / declareWinner have already recorded them)
+    const winnerTeam = getMatchWinner(lobby) || 'team2';
     const winnerIds = lobby.teams[winnerTeam].map(p => p.odiscordId);
     const loserIds = lobby.teams[winnerTeam === 'team1' ? 'team2' : 'team1'].map(p => p.odiscordId);
 
-    // Update lifetime stats for all players (only if ranked)
-    if (lobby.isRanked) {
-      for (const player of allPlayers) {
-        const stats = playerStats[player.odiscordId];
-        const playerClass = playerClasses[player.odiscordId];
+    // Stat updates, ELO changes and the saved match commit together, so an
+    // error halfway through can't leave players with half-applied results
+    const results = db.transaction(() => {
+      // Update lifetime stats for all players (only if ranked)
+      if (lobby.isRanked) {
+        for (const player of allPlayers) {
+          const stats = playerStats[player.odiscordId];
+          const playerClass = playerClasses[player.odiscordId];
         
-        if (stats) {
-          const currentPlayer = db.getPlayer(player.odiscordId);
-          if (currentPlayer) {
-            const updateData = {
-              totalKills: (currentPlayer.totalKills || 0) + (stats.kills || 0),
-              totalDeaths: (currentPlayer.totalDeaths || 0) + (stats.deaths || 0),
-              totalAssists: (currentPlayer.totalAssists || 0) + (stats.assists || 0),
-              totalDamage: (currentPlayer.totalDamage || 0) + (stats.damage || 0),
-              totalHealing: (currentPlayer.totalHealing || 0) + (stats.healing || 0)
-            };
-            
-            // Update class-specific stats
-            if (playerClass && playerClass !== 'Unknown' && currentPlayer.classStats) {
-              const classStats = currentPlayer.classStats[playerClass] || { 
-                kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 
+          if (stats) {
+            const currentPlayer = db.getPlayer(player.odiscordId);
+            if (currentPlayer) {
+              const updateData = {
+                totalKills: (currentPlayer.totalKills || 0) + (stats.kills || 0),
+                totalDeaths: (currentPlayer.totalDeaths || 0) + (stats.deaths || 0),
+                totalAssists: (currentPlayer.totalAssists || 0) + (stats.assists || 0),
+                totalDamage: (currentPlayer.totalDamage || 0) + (stats.damage || 0),
+                totalHealing: (currentPlayer.totalHealing || 0) + (stats.healing || 0)
               };
-              const isWinner = winnerIds.includes(player.odiscordId);
+            
+              // Update class-specific stats
+              if (playerClass && playerClass !== 'Unknown' && currentPlayer.classStats) {
+                const classStats = currentPlayer.classStats[playerClass] || { 
+                  kills: 0, deaths: 0, assists: 0, damage: 0, healing: 0, gamesPlayed: 0, wins: 0 
+                };
+                const isWinner = winnerIds.includes(player.odiscordId);
               
-              updateData.classStats = {
-                ...currentPlayer.classStats,
-                [playerClass]: {
-                  kills: classStats.kills + (stats.kills || 0),
-                  deaths: classStats.deaths + (stats.deaths || 0),
-                  assists: classStats.assists + (stats.assists || 0),
-                  damage: classStats.damage + (stats.damage || 0),
-                  healing: classStats.healing + (stats.healing || 0),
-                  gamesPlayed: classStats.gamesPlayed + 1,
-                  wins: classStats.wins + (isWinner ? 1 : 0)
-                }
-              };
-            }
+                updateData.classStats = {
+                  ...currentPlayer.classStats,
+                  [playerClass]: {
+                    kills: classStats.kills + (stats.kills || 0),
+                    deaths: classStats.deaths + (stats.deaths || 0),
+                    assists: classStats.assists + (stats.assists || 0),
+                    damage: classStats.damage + (stats.damage || 0),
+                    healing: classStats.healing + (stats.healing || 0),
+                    gamesPlayed: classStats.gamesPlayed + 1,
+                    wins: classStats.wins + (isWinner ? 1 : 0)
+                  }
+                };
+              }
             
-            db.updatePlayer(player.odiscordId, updateData);
+              db.updatePlayer(player.odiscordId, updateData);
+            }
           }
         }
       }
-    }
 
-    // Calculate ELO only if ranked
-    let results;
-    if (lobby.isRanked) {
-      results = db.processMatchResult(winnerIds, loserIds, lobby.id);
-    } else {
-      // Unranked - just create result structure without ELO changes
-      results = {
-        lobbyId: lobby.id,
-        isRanked: false,
-        winners: lobby.teams[winnerTeam].map(p => ({
-          odiscordId: p.odiscordId,
-          username: p.username,
-          oldElo: p.elo,
-          newElo: p.elo,
-          change: 0
-        })),
-        losers: lobby.teams[winnerTeam === 'team1' ? 'team2' : 'team1'].map(p => ({
-          odiscordId: p.odiscordId,
-          username: p.username,
-          oldElo: p.elo,
-          newElo: p.elo,
-          change: 0
-        }))
-      };
-    }
-    
-    // Add stats and class to results for display
-    for (const player of results.winners) {
-      player.stats = playerStats[player.odiscordId] || null;
-      player.class = playerClasses[player.odiscordId] || null;
-    }
-    for (const player of results.losers) {
-      player.stats = playerStats[player.odiscordId] || null;
-      player.class = playerClasses[player.odiscordId] || null;
-    }
+      // Calculate ELO only if ranked
+      let results;
+      if (lobby.isRanked) {
+        const performance = {};
+        for (const player of allPlayers) {
+          if (playerStats[player.odiscordId]) {
+            performance[player.odiscordId] = { stats: playerStats[player.odiscordId], class: playerClasses[player.odiscordId] };
+          }
+        }
+        results = db.processMatchResult(winnerIds, loserIds, lobby.id, performance);
+      } else {
+        // Unranked - just create result structure without ELO changes
+        results = {
+          lobbyId: lobby.id,
+          isRanked: false,
+          winners: lobby.teams[winnerTeam].map(p => ({
+            odiscordId: p.odiscordId,
+            username: p.username,
+            oldElo: p.elo,
+            newElo: p.elo,
+            change: 0
+          })),
+          losers: lobby.teams[winnerTeam === 'team1' ? 'team2' : 'team1'].map(p => ({
+            odiscordId: p.odiscordId,
+            username: p.username,
+            oldElo: p.elo,
+            newElo: p.elo,
+            change: 0
+          }))
+        };
+      }
     
-    // Add team colors to results
-    results.team1Color = lobby.team1Color;
-    results.team2Color = lobby.team2Color;
+      // Add stats and class to results for display, with the class declared
+      // in class pick (if any) and whether the server saw them play it
+      for (const player of [...results.winners, ...results.losers]) {
+        player.stats = playerStats[player.odiscordId] || null;
+        player.class = playerClasses[player.odiscordId] || null;
+        if (lobby.declaredClasses) {
+          player.declaredClass = lobby.declaredClasses[player.odiscordId] || null;
+          player.classMismatch = !!player.declaredClass && !!player.class && player.class !== 'Unknown' &&
+            player.class !== player.declaredClass;
+        }
+      }
     
-    // Save the match with stats included
-    db.saveMatch(results);
+      // Add team colors and the round breakdown to results
+      results.team1Color = lobby.team1Color;
+      results.team2Color = lobby.team2Color;
+      results.winner = winnerTeam;
+      Object.assign(results, matchRecord(lobby));
     
-    lobby.eloResults = results;
+      // Save the match with stats included
+      db.saveMatch(results);
+
+      // Snapshot the lobby with its result in the same commit, so a crash
+      // right after can't restore it to 'playing' and apply the result twice
+      lobby.eloResults = results;
+      snapshotLobbies();
+      return results;
+    });
 
-    // Update rank roles (only if ranked)
+    // Rank-up announcements, role swaps and achievements (only if ranked)
     if (lobby.isRanked) {
-      for (const player of [...results.winners, ...results.losers]) {
-        const newRank = db.getRank(player.newElo);
-        const oldRank = db.getRank(player.oldElo);
-        if (newRank !== oldRank) {
-          updatePlayerRankRole(player.odiscordId, newRank);
-        }
-      }
+      announceRankChanges(results.rankChanges).catch(e => console.error('Error announcing rank changes:', e));
+      checkAchievements(lobby, results).catch(e => console.error('Error checking achievements:', e));
     }
 
     // Send result to Discord first (before deleting lobby)
@@ -2556,7 +4545,22 @@ io.on('connection', (socket) => {
     lobby.currentTurn = null;
     lobby.picksLeft = 0;
     lobby.score = { team1: 0, team2: 0 };
+    lobby.rounds = [];
+    lobby.mapVeto = null;
+    lobby.maps = null;
+    lobby.currentMap = null;
     lobby.eloResults = null;
+    lobby.balancePreview = null;
+    lobby.pickIndex = 0;
+    lobby.pickDeadline = null;
+    lobby.captainVote = null;
+    lobby.coinFlip = null;
+    lobby.firstPick = 'team1';
+    lobby.classPickDeadline = null;
+    lobby.classesDeclared = [];
+    lobby.declaredClasses = null;
+    clearPhaseTimer(lobby.id);
+    classPicks.delete(lobby.id);
 
     io.to(lobby.id).emit('lobbyUpdate', lobby);
     io.emit('lobbiesUpdate', getPublicLobbies());
@@ -2587,7 +4591,7 @@ io.on('connection', (socket) => {
     io.emit('lobbiesUpdate', getPublicLobbies());
   });
 
-  socket.on('kickPlayer', async ({ lobbyId, odiscordId }) => {
+  socket.on('kickPlayer', async ({ lobbyId, odiscordId, reason }) => {
     const lobby = getLobby(lobbyId);
     
     if (!lobby) return;
@@ -2607,8 +4611,17 @@ io.on('connection', (socket) => {
       return;
     }
 
+    const kicked = lobby.players.find(p => p.odiscordId === odiscordId);
+    if (!kicked) return;
+    
     lobby.players = lobby.players.filter(p => p.odiscordId !== odiscordId);
     db.clearUserSession(odiscordId);
+    db.logAudit('kick', {
+      actor: socketActor(socket),
+      target: { id: odiscordId, name: kicked.username },
+      reason: reason || null,
+      details: { lobbyId }
+    });
 
     io.to(lobbyId).emit('playerKicked', { odiscordId });
     io.to(lobbyId).emit('lobbyUpdate', lobby);
@@ -2670,12 +4683,22 @@ io.on('connection', (socket) => {
     const mins = Math.min(Math.max(duration || 30, 1), 1440);
     const until = Date.now() + (mins * 60 * 1000);
     
+    const previous = globalTimeouts.get(odiscordId) || null;
+    
     globalTimeouts.set(odiscordId, {
       until,
       reason: reason || 'No reason given',
       bannedBy: socket.odiscordId
     });
     
+    db.logAudit('timeout', {
+      actor: socketActor(socket),
+      target: { id: odiscordId, name: db.getPlayer(odiscordId)?.username || null },
+      before: previous && { until: previous.until },
+      after: { until, mins },
+      reason: reason || null
+    });
+    
     // Kick them from any lobby they're in
     for (const [code, lobby] of lobbies) {
       if (lobby.players.some(p => p.odiscordId === odiscordId)) {
@@ -2701,7 +4724,14 @@ io.on('connection', (socket) => {
     }
     
     if (globalTimeouts.has(odiscordId)) {
+      const previous = globalTimeouts.get(odiscordId);
       globalTimeouts.delete(odiscordId);
+      db.logAudit('remove-timeout', {
+        actor: socketActor(socket),
+        target: { id: odiscordId, name: db.getPlayer(odiscordId)?.username || null },
+        before: { until: previous.until, reason: previous.reason },
+        after: null
+      });
       socket.emit('timeoutRemoved', { odiscordId });
       console.log(`Timeout removed for ${odiscordId} by ${socket.odiscordId}`);
     }
@@ -2765,8 +4795,85 @@ io.on('connection', (socket) => {
     io.emit('lobbiesUpdate', getPublicLobbies());
   });
 
+  socket.on('joinQueue', ({ partnerId } = {}) => {
+    if (!socket.user) {
+      socket.emit('error', { message: 'You must be logged in to queue' });
+      return;
+    }
+    const userData = socket.user;
+    
+    const blocker = getQueueBlocker(userData.odiscordId);
+    if (blocker) {
+      socket.emit('error', { message: blocker });
+      return;
+    }
+    
+    const player = db.getOrCreatePlayer(userData.odiscordId, userData.username, userData.avatar);
+    const entry = { odiscordId: player.odiscordId, username: player.username, avatar: player.avatar, elo: player.elo };
+    
+    if (!partnerId) {
+      addPartyToQueue([entry]);
+      return;
+    }
+    
+    if (partnerId === userData.odiscordId) {
+      socket.emit('error', { message: 'You cannot duo queue with yourself' });
+      return;
+    }
+    
+    // Duo: whoever queues first waits for the other to queue with them
+    const waiting = pendingDuos.get(partnerId);
+    if (waiting && waiting.partnerId === userData.odiscordId) {
+      pendingDuos.delete(partnerId);
+      addPartyToQueue([waiting.player, entry], waiting.joinedAt);
+      return;
+    }
+    
+    pendingDuos.set(userData.odiscordId, { partnerId, player: entry, joinedAt: Date.now() });
+    socket.emit('queueStatus', { status: 'waiting-for-partner', partnerId, queueSize: queuedPlayerCount() });
+    emitToPlayer(partnerId, 'duoInvite', { from: entry });
+    broadcastQueueSize();
+  });
+
+  socket.on('leaveQueue', () => {
+    if (!socket.odiscordId) return;
+    
+    // Leaving during a ready check counts as declining it
+    const check = findReadyCheck(socket.odiscordId);
+    if (check) {
+      respondToReadyCheck(check, socket.odiscordId, false);
+      return;
+    }
+    removeFromQueue(socket.odiscordId, 'You left the queue');
+  });
+
+  socket.on('readyCheckResponse', ({ id, accept }) => {
+    const check = readyChecks.get(id);
+    if (!check || !socket.odiscordId || findReadyCheck(socket.odiscordId) !== check) {
+      socket.emit('error', { message: 'Ready check not found' });
+      return;
+    }
+    respondToReadyCheck(check, socket.odiscordId, !!accept);
+  });
+
+  socket.on('getQueueStatus', () => {
+    const party = socket.odiscordId && findQueuedParty(socket.odiscordId);
+    if (party) {
+      sendQueueStatus(party);
+    } else if (socket.odiscordId && pendingDuos.has(socket.odiscordId)) {
+      socket.emit('queueStatus', { status: 'waiting-for-partner', partnerId: pendingDuos.get(socket.odiscordId).partnerId, queueSize: queuedPlayerCount() });
+    } else {
+      socket.emit('queueStatus', { status: 'idle', queueSize: queuedPlayerCount() });
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    
+    // Drop queued players once their last tab closes (ready checks just time out)
+    if (socket.odiscordId && socketsOf(socket.odiscordId).length === 0) {
+      removeFromQueue(socket.odiscordId, 'Disconnected');
+    }
   });
 });
 
@@ -2774,6 +4881,11 @@ io.on('connection', (socket) => {
 // START SERVER
 // ===========================================
 
+restoreLobbies();
+setInterval(snapshotLobbies, CONFIG.LOBBY_SNAPSHOT_INTERVAL);
+setInterval(runRankDecay, CONFIG.RANK_DECAY.CHECK_INTERVAL);
+setInterval(tickQueue, CONFIG.QUEUE.TICK_INTERVAL);
+
 discordClient.login(CONFIG.BOT_TOKEN).catch(e => {
   console.error('Failed to login to Discord:', e.message);
 });
@@ -2781,3 +4893,14 @@ discordClient.login(CONFIG.BOT_TOKEN).catch(e => {
 server.listen(CONFIG.PORT, () => {
   console.log(`Server running on port ${CONFIG.PORT}`);
 });
+
+// Flush pending writes before exiting
+function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  snapshotLobbies();
+  db.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,28 @@
+const path = require('path');
+const JsonStorage = require('./json');
+
+// ===========================================
+// STORAGE BACKENDS
+// ===========================================
+// Every backend exposes the same synchronous document API:
+//   get / has / set / delete / clear / keys / values / entries / count
+//   transaction(fn) - all writes made inside fn commit together or not at all
+//   close()
+
+function createStorage(CONFIG) {
+  const dataDir = path.resolve(__dirname, '..', CONFIG.DATA_DIR || 'data');
+  const backend = (CONFIG.STORAGE_BACKEND || 'json').toLowerCase();
+
+  if (backend === 'sqlite') {
+    const SqliteStorage = require('./sqlite');
+    return new SqliteStorage({ file: path.join(dataDir, CONFIG.SQLITE_FILE || 'counterpush.db') });
+  }
+
+  if (backend !== 'json') {
+    throw new Error(`Unknown STORAGE_BACKEND "${CONFIG.STORAGE_BACKEND}" (expected "json" or "sqlite")`);
+  }
+
+  return new JsonStorage({ dir: dataDir });
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===========================================
+// JSON FILE STORAGE
+// ===========================================
+// Keeps every collection in memory and writes changed collections back to
+// disk asynchronously. Each flush writes every changed collection to a temp
+// file, then records the batch in a commit manifest before renaming them
+// into place. A crash mid-flush leaves either the old files (no manifest
+// yet) or a manifest that is replayed on the next start, so collections
+// changed by one transaction are never saved out of step with each other.
+
+// Collections that keep their original on-disk layout from before the
+// storage layer existed. Anything else is stored as a plain { key: value }
+// object in <collection>.json.
+const LEGACY_FILES = {
+  players: { file: 'players.json' },
+  sessions: { file: 'sessions.json' },
+  matches: {
+    file: 'matches.json',
+    // Stored as an array, newest first
+    decode: (raw) => (raw || []).map(m => [m.id, m]),
+    encode: (map) => Array.from(map.values()).sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+  },
+  links: {
+    file: 'minecraft_links.json',
+    // Stored as { byDiscord, byUUID }, keyed internally by Discord ID
+    decode: (raw) => Object.entries(raw?.byDiscord || {}),
+    encode: (map) => {
+      const byDiscord = {};
+      const byUUID = {};
+      for (const [odiscordId, link] of map) {
+        byDiscord[odiscordId] = link;
+        byUUID[link.uuid] = { odiscordId, username: link.username };
+      }
+      return { byDiscord, byUUID };
+    }
+  }
+};
+
+// Lists the temp files of the flush being committed (see commitFiles)
+const MANIFEST_FILE = 'commit-manifest.json';
+
+function clone(value) {
+  return value === undefined || value === null ? null : structuredClone(value);
+}
+
+class JsonStorage {
+  constructor({ dir }) {
+    this.dir = dir;
+    this.collections = new Map();
+    this.dirty = new Set();
+    this.staged = null; // Map of collection -> staged copy while a transaction is open
+    this.flushing = false;
+    this.flushQueued = false;
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    this.replayManifest();
+
+    this.onExit = () => this.flushSync();
+    process.on('exit', this.onExit);
+  }
+
+  layout(collection) {
+    return LEGACY_FILES[collection] || { file: `${collection}.json` };
+  }
+
+  // Lazily load a collection from disk the first time it's touched
+  load(collection) {
+    if (this.collections.has(collection)) {
+      return this.collections.get(collection);
+    }
+
+    const { file, decode } = this.layout(collection);
+    const filePath = path.join(this.dir, file);
+    let map = new Map();
+
+    try {
+      if (fs.existsSync(filePath)) {
+        const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        map = new Map(decode ? decode(raw) : Object.entries(raw || {}));
+      }
+    } catch (error) {
+      console.error(`Error loading ${file}:`, error);
+    }
+
+    this.collections.set(collection, map);
+    return map;
+  }
+
+  // Map to read from (staged copy inside a transaction, if one exists)
+  read(collection) {
+    if (this.staged && this.staged.has(collection)) {
+      return this.staged.get(collection);
+    }
+    return this.load(collection);
+  }
+
+  // Map to write to. Outside a transaction every write commits immediately.
+  write(collection, fn) {
+    if (this.staged) {
+      if (!this.staged.has(collection)) {
+        this.staged.set(collection, new Map(this.load(collection)));
+      }
+      fn(this.staged.get(collection));
+      return;
+    }
+
+    fn(this.load(collection));
+    this.markDirty(collection);
+  }
+
+  get(collection, key) {
+    return clone(this.read(collection).get(String(key)));
+  }
+
+  has(collection, key) {
+    return this.read(collection).has(String(key));
+  }
+
+  set(collection, key, value) {
+    const copy = clone(value);
+    this.write(collection, map => map.set(String(key), copy));
+  }
+
+  delete(collection, key) {
+    let existed = false;
+    this.write(collection, map => {
+      existed = map.delete(String(key));
+    });
+    return existed;
+  }
+
+  clear(collection) {
+    this.write(collection, map => map.clear());
+  }
+
+  keys(collection) {
+    return Array.from(this.read(collection).keys());
+  }
+
+  values(collection) {
+    return Array.from(this.read(collection).values(), clone);
+  }
+
+  entries(collection) {
+    return Array.from(this.read(collection), ([key, value]) => [key, clone(value)]);
+  }
+
+  count(collection) {
+    return this.read(collection).size;
+  }
+
+  // Run fn with all writes staged; they are applied together if fn returns
+  // and thrown away if it throws. fn must be synchronous.
+  transaction(fn) {
+    // Nested transactions join the outer one
+    if (this.staged) return fn();
+
+    this.staged = new Map();
+    let result;
+    try {
+      result = fn();
+      if (result && typeof result.then === 'function') {
+        throw new Error('Transaction function must be synchronous');
+      }
+    } catch (error) {
+      this.staged = null;
+      throw error;
+    }
+
+    const staged = this.staged;
+    this.staged = null;
+    for (const [collection, map] of staged) {
+      this.collections.set(collection, map);
+      this.markDirty(collection);
+    }
+    return result;
+  }
+
+  // ===========================================
+  // PERSISTENCE
+  // ===========================================
+
+  markDirty(collection) {
+    this.dirty.add(collection);
+    if (!this.flushQueued) {
+      this.flushQueued = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  serialize(collection) {
+    const { file, encode } = this.layout(collection);
+    const map = this.collections.get(collection);
+    const data = encode ? encode(map) : Object.fromEntries(map);
+    return { filePath: path.join(this.dir, file), json: JSON.stringify(data, null, 2) };
+  }
+
+  // Finish a flush that crashed after its manifest was written: rename the
+  // temp files it lists that haven't been renamed yet
+  replayManifest() {
+    const manifestPath = path.join(this.dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return;
+
+    const files = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      if (fs.existsSync(`${filePath}.tmp`)) {
+        fs.renameSync(`${filePath}.tmp`, filePath);
+      }
+    }
+    fs.unlinkSync(manifestPath);
+    console.log(`Replayed an interrupted save of ${files.join(', ')}`);
+  }
+
+  async flush() {
+    this.flushQueued = false;
+
+    // A flush is already writing; it reschedules itself if more changes arrive
+    if (this.flushing) return;
+
+    this.flushing = true;
+    const pending = Array.from(this.dirty);
+    this.dirty.clear();
+
+    const files = pending.map(collection => this.serialize(collection));
+    try {
+      for (const { filePath, json } of files) {
+        await fs.promises.writeFile(`${filePath}.tmp`, json);
+      }
+      await this.commitFiles(files);
+    } catch (error) {
+      console.error(`Error saving ${files.map(f => path.basename(f.filePath)).join(', ')}:`, error);
+      for (const collection of pending) this.dirty.add(collection);
+    }
+
+    this.flushing = false;
+    if (this.dirty.size > 0 && !this.flushQueued) {
+      this.flushQueued = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  flushSync() {
+    const files = Array.from(this.dirty, collection => this.serialize(collection));
+    try {
+      for (const { filePath, json } of files) {
+        fs.writeFileSync(`${filePath}.tmp`, json);
+      }
+      this.commitFilesSync(files);
+    } catch (error) {
+      console.error(`Error saving ${files.map(f => path.basename(f.filePath)).join(', ')}:`, error);
+    }
+    this.dirty.clear();
+  }
+
+  // Rename a flush's temp files into place, listing them in the manifest
+  // first so a crash halfway through is finished by replayManifest
+  async commitFiles(files) {
+    if (files.length === 0) return;
+    const manifestPath = path.join(this.dir, MANIFEST_FILE);
+    await fs.promises.writeFile(`${manifestPath}.tmp`, JSON.stringify(files.map(f => path.basename(f.filePath))));
+    await fs.promises.rename(`${manifestPath}.tmp`, manifestPath);
+    for (const { filePath } of files) {
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+    await fs.promises.unlink(manifestPath);
+  }
+
+  commitFilesSync(files) {
+    if (files.length === 0) return;
+    const manifestPath = path.join(this.dir, MANIFEST_FILE);
+    fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(files.map(f => path.basename(f.filePath))));
+    fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+    for (const { filePath } of files) {
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+    fs.unlinkSync(manifestPath);
+  }
+
+  close() {
+    this.flushSync();
+    process.removeListener('exit', this.onExit);
+  }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,59 @@
+// ===========================================
+// PERSISTENT MAP / SET
+// ===========================================
+// Drop-in replacements for Map and Set that write every change through to a
+// storage collection, so in-memory state survives a restart.
+
+class PersistentMap extends Map {
+  constructor(storage, collection) {
+    super(storage.entries(collection));
+    this.storage = storage;
+    this.collection = collection;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // Map's constructor calls set() before storage is assigned
+    if (this.storage) this.storage.set(this.collection, key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) this.storage.delete(this.collection, key);
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.storage.clear(this.collection);
+  }
+}
+
+class PersistentSet extends Set {
+  constructor(storage, collection) {
+    super(storage.keys(collection));
+    this.storage = storage;
+    this.collection = collection;
+  }
+
+  add(value) {
+    super.add(value);
+    // Set's constructor calls add() before storage is assigned
+    if (this.storage) this.storage.set(this.collection, value, { addedAt: Date.now() });
+    return this;
+  }
+
+  delete(value) {
+    const existed = super.delete(value);
+    if (existed) this.storage.delete(this.collection, value);
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this.storage.clear(this.collection);
+  }
+}
+
+module.exports = { PersistentMap, PersistentSet };
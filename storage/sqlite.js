@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===========================================
+// SQLITE STORAGE
+// ===========================================
+// Stores every collection in a single documents table. better-sqlite3 is
+// synchronous, so it slots in behind the same API as the JSON backend, and
+// transactions are real SQLite transactions.
+
+class SqliteStorage {
+  constructor({ file }) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND key = ?'),
+      has: this.db.prepare('SELECT 1 FROM documents WHERE collection = ? AND key = ?'),
+      set: this.db.prepare(`
+        INSERT INTO documents (collection, key, data) VALUES (?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data
+      `),
+      delete: this.db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+      clear: this.db.prepare('DELETE FROM documents WHERE collection = ?'),
+      keys: this.db.prepare('SELECT key FROM documents WHERE collection = ?'),
+      entries: this.db.prepare('SELECT key, data FROM documents WHERE collection = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM documents WHERE collection = ?')
+    };
+  }
+
+  get(collection, key) {
+    const row = this.statements.get.get(collection, String(key));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  has(collection, key) {
+    return !!this.statements.has.get(collection, String(key));
+  }
+
+  set(collection, key, value) {
+    this.statements.set.run(collection, String(key), JSON.stringify(value));
+  }
+
+  delete(collection, key) {
+    return this.statements.delete.run(collection, String(key)).changes > 0;
+  }
+
+  clear(collection) {
+    this.statements.clear.run(collection);
+  }
+
+  keys(collection) {
+    return this.statements.keys.all(collection).map(row => row.key);
+  }
+
+  values(collection) {
+    return this.statements.entries.all(collection).map(row => JSON.parse(row.data));
+  }
+
+  entries(collection) {
+    return this.statements.entries.all(collection).map(row => [row.key, JSON.parse(row.data)]);
+  }
+
+  count(collection) {
+    return this.statements.count.get(collection).count;
+  }
+
+  // better-sqlite3 turns nested calls into savepoints, so this nests safely
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
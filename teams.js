@@ -0,0 +1,151 @@
+const CONFIG = require('./config');
+
+// ===========================================
+// TEAM BALANCING
+// ===========================================
+// Splits a lobby's players into two teams with as close an average ELO as
+// possible, as an alternative to captains drafting. With balanceClasses,
+// each class (from options.classOf, usually the player's main class) that
+// ends up unevenly spread adds TEAM_BALANCE.CLASS_WEIGHT to a split's cost.
+// A split is { team1, team2, team1Elo, team2Elo, eloDiff, classDiff, cost }.
+
+function averageElo(team) {
+  if (team.length === 0) return CONFIG.STARTING_ELO;
+  return team.reduce((sum, p) => sum + (p.elo ?? CONFIG.STARTING_ELO), 0) / team.length;
+}
+
+// How unevenly classes are spread: sum over classes of |team1 - team2|,
+// not counting the unavoidable odd one out of each class
+function classImbalance(team1, team2, classOf) {
+  const counts = new Map();
+  for (const p of team1) {
+    const name = classOf(p);
+    if (name) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  for (const p of team2) {
+    const name = classOf(p);
+    if (name) counts.set(name, (counts.get(name) || 0) - 1);
+  }
+  let imbalance = 0;
+  for (const diff of counts.values()) {
+    imbalance += Math.max(0, Math.abs(diff) - 1);
+  }
+  return imbalance;
+}
+
+function scoreSplit(team1, team2, { balanceClasses = false, classOf = () => null } = {}) {
+  const team1Elo = averageElo(team1);
+  const team2Elo = averageElo(team2);
+  const eloDiff = Math.abs(team1Elo - team2Elo);
+  const classDiff = balanceClasses ? classImbalance(team1, team2, classOf) : 0;
+
+  return {
+    team1,
+    team2,
+    team1Elo: Math.round(team1Elo),
+    team2Elo: Math.round(team2Elo),
+    eloDiff: Math.round(eloDiff),
+    classDiff,
+    cost: eloDiff + classDiff * CONFIG.TEAM_BALANCE.CLASS_WEIGHT
+  };
+}
+
+// Every split of players into two teams (sizes differ by at most one).
+// The first player always goes in team1 so mirrored splits aren't repeated.
+function* allSplits(players) {
+  const rest = players.slice(1);
+  // With an odd count the first player can be on the smaller or bigger team
+  const sizes = new Set([Math.floor(players.length / 2), Math.ceil(players.length / 2)]);
+
+  function* choose(count, start, picked) {
+    if (picked.length === count) {
+      yield picked;
+      return;
+    }
+    for (let i = start; i <= rest.length - (count - picked.length); i++) {
+      yield* choose(count, i + 1, [...picked, i]);
+    }
+  }
+
+  for (const size of sizes) {
+    for (const picked of choose(size - 1, 0, [])) {
+      const inTeam1 = new Set(picked);
+      yield [
+        [players[0], ...rest.filter((_, i) => inTeam1.has(i))],
+        rest.filter((_, i) => !inTeam1.has(i))
+      ];
+    }
+  }
+}
+
+// Too many players to try every split: snake-draft by ELO, then keep
+// swapping pairs between the teams while that lowers the cost
+function improvedSnakeSplit(players, options) {
+  const sorted = [...players].sort((a, b) => (b.elo ?? 0) - (a.elo ?? 0));
+  let team1 = [];
+  let team2 = [];
+  sorted.forEach((p, i) => (i % 4 === 0 || i % 4 === 3 ? team1 : team2).push(p));
+
+  let best = scoreSplit(team1, team2, options);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < team1.length && !improved; i++) {
+      for (let j = 0; j < team2.length && !improved; j++) {
+        const t1 = [...team1];
+        const t2 = [...team2];
+        [t1[i], t2[j]] = [team2[j], team1[i]];
+        const candidate = scoreSplit(t1, t2, options);
+        if (candidate.cost < best.cost) {
+          best = candidate;
+          team1 = t1;
+          team2 = t2;
+          improved = true;
+        }
+      }
+    }
+  }
+  return [best];
+}
+
+// Candidate splits, cheapest first: every split within
+// TEAM_BALANCE.REROLL_TOLERANCE of the best one
+function balancedSplits(players, options = {}) {
+  if (players.length < 2) return [];
+  if (players.length > CONFIG.TEAM_BALANCE.MAX_EXHAUSTIVE_PLAYERS) {
+    return improvedSnakeSplit(players, options);
+  }
+
+  const splits = [];
+  for (const [team1, team2] of allSplits(players)) {
+    splits.push(scoreSplit(team1, team2, options));
+  }
+  splits.sort((a, b) => a.cost - b.cost);
+
+  const limit = splits[0].cost + CONFIG.TEAM_BALANCE.REROLL_TOLERANCE;
+  return splits.filter(s => s.cost <= limit);
+}
+
+// Identifies a split regardless of which side is called team1
+function splitKey(split) {
+  const ids = team => team.map(p => p.odiscordId).sort().join(',');
+  return [ids(split.team1), ids(split.team2)].sort().join('|');
+}
+
+// A balanced split for the lobby. Without `previous` this is the best split;
+// with it (a reroll) it's a random other split that is nearly as balanced,
+// or null if there isn't one.
+function balanceTeams(players, options = {}) {
+  const splits = balancedSplits(players, options);
+  if (!options.previous) return splits[0] || null;
+
+  const previousKey = splitKey(options.previous);
+  const others = splits.filter(s => splitKey(s) !== previousKey);
+  if (others.length === 0) return null;
+  return others[Math.floor(Math.random() * others.length)];
+}
+
+module.exports = {
+  averageElo,
+  balanceTeams
+};